@@ -3,9 +3,32 @@
 const { Command } = require('commander');
 const path = require('path');
 const { extractTexts } = require('../src/extractor');
+const { importXliff } = require('../src/xliff');
+const { importPo } = require('../src/gettext');
+const { findConfigFile, loadConfig, mergeConfig } = require('../src/config');
+const { checkTexts } = require('../src/check');
+const { auditTranslations } = require('../src/audit');
+const { watchTexts } = require('../src/watch');
+const { DEFAULT_CACHE_FILE } = require('../src/extraction-cache');
+const { DEFAULT_BACKUP_DIR, listRuns, restoreRun } = require('../src/backup');
+const { DEFAULT_PSEUDO_EXPANSION } = require('../src/pseudo');
 
 const program = new Command();
 
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Options from the config file, unless the same option was passed on the command line
+async function resolveOptions(cliOptions, command) {
+  const configPath = cliOptions.config ? path.resolve(cliOptions.config) : await findConfigFile(process.cwd());
+  const config = configPath ? await loadConfig(configPath) : null;
+  const options = config
+    ? mergeConfig(cliOptions, config.options, name => command.getOptionValueSource(name) === 'cli')
+    : cliOptions;
+  return { options, config };
+}
+
 program
   .name('ng-i18n-extract')
   .description('Extract display text from Angular applications for internationalization')
@@ -14,30 +37,117 @@ program
 program
   .command('extract')
   .description('Extract text from Angular components and templates')
+  .option('-c, --config <path>', 'config file (default: ng-i18n-extract.config.json or .js in the current directory or a parent)')
   .option('-s, --src <path>', 'source directory path', './src')
-  .option('-o, --output <path>', 'output JSON file path', './i18n/messages.json')
+  .option('--include <globs>', 'comma-separated globs of files to scan, relative to the source directory (default: **/*.html,**/*.ts)', parseList)
+  .option('--exclude <globs>', 'comma-separated globs of files to skip, relative to the source directory', parseList)
+  .option('--elements <list>', 'comma-separated elements whose text is extracted, in addition to the built-in ones, e.g. mat-label,mat-hint; !name drops a built-in one', parseList)
+  .option('--attributes <list>', 'comma-separated attributes and component inputs holding display text, in addition to title, alt, placeholder and aria-label; !name drops a built-in one', parseList)
+  .option('-o, --output <path>', 'output file path, or translation root directory for transloco (default: ./i18n/messages.json, ./src/locale/messages.xlf for angular, ./src/assets/i18n for transloco)')
+  .option('-f, --format <format>', 'output format: json, xliff12, xliff20 or po (default: json, or xliff12 with --framework angular)')
+  .option('--json-structure <structure>', 'key layout of JSON files: flat ("app.home.title") or nested ({ "app": { "home": ... } })', 'flat')
+  .option('--references <mode>', 'where to write the file, line, column, element and attribute of each key: inline (references section of JSON files), sidecar (<output>.references.json) or none', 'inline')
+  .option('--framework <name>', 'i18n framework to target: ngx-translate, angular (@angular/localize) or transloco', 'ngx-translate')
+  .option('--transloco-style <style>', 'template replacement for transloco: pipe or directive (*transloco="let t")', 'pipe')
   .option('-l, --locale <locale>', 'locale code for the extraction', 'en')
+  .option('--locales <list>', 'comma-separated locales to write files for, e.g. en,de,fr', parseList, [])
+  .option('--target-fill <mode>', 'value for new keys in target locale files: empty or source', 'empty')
+  .option('--pseudo-locale <locale>', 'also write a pseudo-localized file for this locale, e.g. en-XA, with accented, padded and bracketed source text')
+  .option('--pseudo-expansion <percent>', 'with --pseudo-locale, how much longer pseudo-localized text is than the source text', value => parseFloat(value), DEFAULT_PSEUDO_EXPANSION)
   .option('-k, --key-prefix <prefix>', 'prefix for generated keys', 'app')
   .option('-r, --replace', 'replace text with i18n pipe placeholders', false)
-  .action(async (options) => {
+  .option('--key-strategy <strategy>', 'key generation strategy: hash (stable content hash) or counter (legacy)', 'hash')
+  .option('--dedupe <scope>', 'reuse one key for identical text: none, component, or global (shared common. keys)', 'none')
+  .option('--common-threshold <count>', 'with --dedupe global, number of components a text must appear in to get a common. key', value => parseInt(value, 10), 2)
+  .option('-m, --merge', 'merge into the existing output file, keeping keys for unchanged text', false)
+  .option('--remove-obsolete', 'drop keys that no longer appear in the source from merged and target locale files', false)
+  .option('--dry-run', 'print a unified diff of the replacements and the keys that would be created, without writing any files', false)
+  .option('--diff-output <path>', 'save the dry-run diff as a patch that can be applied with git apply (implies --dry-run)')
+  .option('-w, --watch', 'keep running and re-extract only the files that change, e.g. next to ng serve', false)
+  .option('--workers <count>', 'number of worker threads that analyze files in parallel', value => parseInt(value, 10), 1)
+  .option('--cache [path]', `reuse the results of files whose content has not changed since the last run, stored in path (default: ${DEFAULT_CACHE_FILE})`)
+  .option('--backup-dir <path>', 'directory for the originals of files rewritten by --replace, used by the restore command', DEFAULT_BACKUP_DIR)
+  .option('--no-backup', 'do not keep the originals of files rewritten by --replace')
+  .action(async (cliOptions, command) => {
     try {
+      const { options, config } = await resolveOptions(cliOptions, command);
+
+      const defaultOutputs = { angular: './src/locale/messages.xlf', transloco: './src/assets/i18n' };
       const srcPath = path.resolve(options.src);
-      const outputPath = path.resolve(options.output);
+      const outputPath = path.resolve(options.output || defaultOutputs[options.framework] || './i18n/messages.json');
+      const format = options.format || (options.framework === 'angular' ? 'xliff12' : 'json');
       
+      if (config) {
+        console.log(`Config file: ${config.path}`);
+      }
       console.log(`Extracting texts from: ${srcPath}`);
       console.log(`Output file: ${outputPath}`);
+      console.log(`Output format: ${format}`);
+      console.log(`Framework: ${options.framework}`);
       console.log(`Locale: ${options.locale}`);
+      if (options.locales.length > 0) {
+        console.log(`Locales: ${options.locales.join(', ')}`);
+      }
+      if (options.pseudoLocale) {
+        console.log(`Pseudo locale: ${options.pseudoLocale} (+${options.pseudoExpansion}%)`);
+      }
       console.log(`Key prefix: ${options.keyPrefix}`);
       console.log(`Replace with placeholders: ${options.replace}`);
+      console.log(`Key strategy: ${options.keyStrategy}`);
+      if (options.dedupe !== 'none') {
+        console.log(`Dedupe: ${options.dedupe}`);
+      }
+      console.log(`Merge with existing file: ${options.merge}`);
+      if (options.workers > 1) {
+        console.log(`Workers: ${options.workers}`);
+      }
+      const cachePath = options.cache ? path.resolve(options.cache === true ? DEFAULT_CACHE_FILE : options.cache) : null;
+      if (cachePath) {
+        console.log(`Cache file: ${cachePath}`);
+      }
+      const dryRun = options.dryRun || Boolean(options.diffOutput);
+      if (dryRun) {
+        console.log('Dry run: no files will be written');
+      }
       
-      await extractTexts({
+      const extractOptions = {
         srcPath,
+        include: options.include,
+        exclude: options.exclude,
+        elements: options.elements,
+        attributes: options.attributes,
         outputPath,
+        format,
+        jsonStructure: options.jsonStructure,
+        references: options.references,
+        framework: options.framework,
+        translocoStyle: options.translocoStyle,
         locale: options.locale,
+        locales: options.locales,
+        targetFill: options.targetFill,
+        pseudoLocale: options.pseudoLocale,
+        pseudoExpansion: options.pseudoExpansion,
         keyPrefix: options.keyPrefix,
-        replace: options.replace
-      });
-      
+        replace: options.replace,
+        keyStrategy: options.keyStrategy,
+        dedupe: options.dedupe,
+        commonThreshold: options.commonThreshold,
+        merge: options.merge,
+        removeObsolete: options.removeObsolete,
+        workers: options.workers,
+        cache: cachePath,
+        backup: options.backup,
+        backupDir: path.resolve(options.backupDir),
+        dryRun,
+        diffOutput: options.diffOutput ? path.resolve(options.diffOutput) : null
+      };
+
+      if (options.watch) {
+        await watchTexts(extractOptions);
+        return;
+      }
+
+      await extractTexts(extractOptions);
       console.log('✅ Text extraction completed successfully!');
     } catch (error) {
       console.error('❌ Error during extraction:', error.message);
@@ -45,4 +155,127 @@ program
     }
   });
 
+program
+  .command('check')
+  .description('Report user-facing text that is not translated yet, without changing any files; exits with code 1 when some is found')
+  .option('-c, --config <path>', 'config file (default: ng-i18n-extract.config.json or .js in the current directory or a parent)')
+  .option('-s, --src <path>', 'source directory path', './src')
+  .option('--include <globs>', 'comma-separated globs of files to scan, relative to the source directory (default: **/*.html,**/*.ts)', parseList)
+  .option('--exclude <globs>', 'comma-separated globs of files to skip, relative to the source directory', parseList)
+  .option('--elements <list>', 'comma-separated elements whose text is checked, in addition to the built-in ones; !name drops a built-in one', parseList)
+  .option('--attributes <list>', 'comma-separated attributes and component inputs holding display text, in addition to the built-in ones; !name drops a built-in one', parseList)
+  .option('--framework <name>', 'i18n framework: ngx-translate, angular (@angular/localize) or transloco', 'ngx-translate')
+  .option('--report-format <format>', 'report format: text, json or sarif', 'text')
+  .option('--report-output <path>', 'write the report to a file instead of stdout')
+  .action(async (cliOptions, command) => {
+    try {
+      const { options } = await resolveOptions(cliOptions, command);
+      const findings = await checkTexts({
+        srcPath: path.resolve(options.src),
+        include: options.include,
+        exclude: options.exclude,
+        elements: options.elements,
+        attributes: options.attributes,
+        framework: options.framework,
+        keyPrefix: options.keyPrefix || 'app',
+        reportFormat: options.reportFormat,
+        reportOutput: options.reportOutput ? path.resolve(options.reportOutput) : null
+      });
+
+      if (findings.length > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error('❌ Error during check:', error.message);
+      process.exit(2);
+    }
+  });
+
+program
+  .command('audit')
+  .description('Compare the translation keys used in templates and TypeScript with the keys in the translation files; exits with code 1 when keys are missing')
+  .option('-c, --config <path>', 'config file (default: ng-i18n-extract.config.json or .js in the current directory or a parent)')
+  .option('-s, --src <path>', 'source directory path', './src')
+  .option('--include <globs>', 'comma-separated globs of files to scan, relative to the source directory (default: **/*.html,**/*.ts)', parseList)
+  .option('--exclude <globs>', 'comma-separated globs of files to skip, relative to the source directory', parseList)
+  .option('-t, --translations <files>', 'comma-separated translation JSON files or globs, e.g. ./src/assets/i18n/*.json (default: the files extract writes for --output, --locale and --locales)', parseList)
+  .option('-o, --output <path>', 'output file path used by extract', './i18n/messages.json')
+  .option('-l, --locale <locale>', 'source locale code', 'en')
+  .option('--locales <list>', 'comma-separated locales with translation files', parseList, [])
+  .option('--report-format <format>', 'report format: text or json', 'text')
+  .option('--report-output <path>', 'write the report to a file instead of stdout')
+  .action(async (cliOptions, command) => {
+    try {
+      const { options } = await resolveOptions(cliOptions, command);
+      const audit = await auditTranslations({
+        srcPath: path.resolve(options.src),
+        include: options.include,
+        exclude: options.exclude,
+        translations: options.translations,
+        outputPath: path.resolve(options.output),
+        locale: options.locale,
+        locales: options.locales,
+        reportFormat: options.reportFormat,
+        reportOutput: options.reportOutput ? path.resolve(options.reportOutput) : null
+      });
+
+      if (audit.missing.length > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error('❌ Error during audit:', error.message);
+      process.exit(2);
+    }
+  });
+
+program
+  .command('restore')
+  .description('Undo the source rewrites of an extract --replace run; refuses when a file was edited since that run')
+  .argument('[run]', 'id of the run to restore (default: the latest run that was not restored yet)')
+  .option('-c, --config <path>', 'config file (default: ng-i18n-extract.config.json or .js in the current directory or a parent)')
+  .option('--backup-dir <path>', 'directory holding the run manifests', DEFAULT_BACKUP_DIR)
+  .option('--list', 'list the recorded runs instead of restoring one', false)
+  .action(async (run, cliOptions, command) => {
+    try {
+      const { options } = await resolveOptions(cliOptions, command);
+      const backupDir = path.resolve(options.backupDir);
+
+      if (options.list) {
+        const runs = await listRuns(backupDir);
+        if (runs.length === 0) {
+          console.log(`No runs recorded in ${backupDir}`);
+        }
+        runs.forEach(manifest => {
+          const status = manifest.restoredAt ? ` (restored ${manifest.restoredAt})` : '';
+          console.log(`${manifest.id}  ${manifest.files.length} files${status}`);
+        });
+        return;
+      }
+
+      await restoreRun(backupDir, run || null);
+      console.log('✅ Restore completed successfully!');
+    } catch (error) {
+      console.error('❌ Error during restore:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('import')
+  .description('Convert a translated XLIFF (.xlf, .xliff) or gettext (.po) file back into the JSON translation format')
+  .argument('<file>', 'XLIFF or PO file to import')
+  .requiredOption('-o, --output <path>', 'output JSON file path')
+  .option('-l, --locale <locale>', 'locale code for the output (defaults to the language declared in the file)')
+  .option('--json-structure <structure>', 'key layout of the JSON file: flat or nested', 'flat')
+  .action(async (file, options) => {
+    try {
+      const importFile = path.extname(file).toLowerCase() === '.po' ? importPo : importXliff;
+      await importFile(path.resolve(file), path.resolve(options.output), { locale: options.locale, jsonStructure: options.jsonStructure });
+      console.log('✅ Import completed successfully!');
+    } catch (error) {
+      console.error('❌ Error during import:', error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse();
\ No newline at end of file
@@ -6,6 +6,24 @@ jest.mock('../src/extractor', () => ({
   extractTexts: jest.fn()
 }));
 
+const mockCheckTexts = jest.fn();
+const mockAuditTranslations = jest.fn();
+const mockListRuns = jest.fn();
+const mockRestoreRun = jest.fn();
+const mockImportXliff = jest.fn();
+const mockImportPo = jest.fn();
+
+jest.mock('../src/check', () => ({ checkTexts: (...args) => mockCheckTexts(...args) }));
+jest.mock('../src/audit', () => ({ auditTranslations: (...args) => mockAuditTranslations(...args) }));
+jest.mock('../src/backup', () => ({
+  ...jest.requireActual('../src/backup'),
+  listRuns: (...args) => mockListRuns(...args),
+  restoreRun: (...args) => mockRestoreRun(...args)
+}));
+jest.mock('../src/xliff', () => ({ importXliff: (...args) => mockImportXliff(...args) }));
+jest.mock('../src/gettext', () => ({ importPo: (...args) => mockImportPo(...args) }));
+jest.mock('../src/config', () => ({ ...jest.requireActual('../src/config'), findConfigFile: async () => null }));
+
 const { extractTexts } = require('../src/extractor');
 
 describe('CLI Configuration', () => {
@@ -207,4 +225,181 @@ describe('CLI Configuration', () => {
       });
     });
   });
-});
\ No newline at end of file
+});
+
+describe('CLI commands', () => {
+  let originalArgv;
+  let originalExit;
+  let mockConsoleLog;
+  let mockConsoleError;
+
+  // Loads bin/cli.js with the given arguments and waits for the command's action to finish
+  const run = async (...args) => {
+    process.argv = ['node', 'ng-i18n-extract', ...args];
+    jest.isolateModules(() => {
+      require('./cli');
+    });
+    await new Promise(resolve => setImmediate(resolve));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    originalArgv = process.argv;
+    originalExit = process.exit;
+    process.exit = jest.fn();
+    mockConsoleLog = jest.spyOn(console, 'log').mockImplementation();
+    mockConsoleError = jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    process.argv = originalArgv;
+    process.exit = originalExit;
+    mockConsoleLog.mockRestore();
+    mockConsoleError.mockRestore();
+  });
+
+  describe('check', () => {
+    it('should pass the parsed options and default to a text report on stdout', async () => {
+      mockCheckTexts.mockResolvedValue([]);
+
+      await run('check', '--src', './app', '--exclude', '**/*.stories.ts, **/fixtures/**', '--elements', 'mat-label,!i');
+
+      expect(mockCheckTexts).toHaveBeenCalledWith({
+        srcPath: path.resolve('./app'),
+        include: undefined,
+        exclude: ['**/*.stories.ts', '**/fixtures/**'],
+        elements: ['mat-label', '!i'],
+        attributes: undefined,
+        framework: 'ngx-translate',
+        keyPrefix: 'app',
+        reportFormat: 'text',
+        reportOutput: null
+      });
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    it('should select a SARIF report written to a file', async () => {
+      mockCheckTexts.mockResolvedValue([]);
+
+      await run('check', '--report-format', 'sarif', '--report-output', 'reports/i18n.sarif');
+
+      expect(mockCheckTexts).toHaveBeenCalledWith(expect.objectContaining({
+        reportFormat: 'sarif',
+        reportOutput: path.resolve('reports/i18n.sarif')
+      }));
+    });
+
+    it('should exit with code 1 on findings and 2 when the check fails', async () => {
+      mockCheckTexts.mockResolvedValueOnce([{ file: 'src/app.html', line: 1, column: 1, text: 'Welcome' }]);
+      await run('check');
+      expect(process.exit).toHaveBeenCalledWith(1);
+
+      process.exit.mockClear();
+      mockCheckTexts.mockRejectedValueOnce(new Error('Unknown report format "html". Expected one of: text, json, sarif'));
+      await run('check', '--report-format', 'html');
+      expect(mockConsoleError).toHaveBeenCalledWith('❌ Error during check:', 'Unknown report format "html". Expected one of: text, json, sarif');
+      expect(process.exit).toHaveBeenCalledWith(2);
+    });
+  });
+
+  describe('audit', () => {
+    it('should pass the translation files, locales and report options', async () => {
+      mockAuditTranslations.mockResolvedValue({ missing: [], unused: [], dynamic: [] });
+
+      await run('audit', '-t', 'i18n/en.json,i18n/de.json', '--locales', 'en,de', '--report-format', 'json');
+
+      expect(mockAuditTranslations).toHaveBeenCalledWith({
+        srcPath: path.resolve('./src'),
+        include: undefined,
+        exclude: undefined,
+        translations: ['i18n/en.json', 'i18n/de.json'],
+        outputPath: path.resolve('./i18n/messages.json'),
+        locale: 'en',
+        locales: ['en', 'de'],
+        reportFormat: 'json',
+        reportOutput: null
+      });
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    it('should exit with code 1 on missing keys and 2 when the audit fails', async () => {
+      mockAuditTranslations.mockResolvedValueOnce({ missing: [{ key: 'home.title', files: ['i18n/de.json'], usages: [] }], unused: [], dynamic: [] });
+      await run('audit');
+      expect(process.exit).toHaveBeenCalledWith(1);
+
+      process.exit.mockClear();
+      mockAuditTranslations.mockRejectedValueOnce(new Error('No translation files match "i18n/*.json"'));
+      await run('audit', '-t', 'i18n/*.json');
+      expect(mockConsoleError).toHaveBeenCalledWith('❌ Error during audit:', 'No translation files match "i18n/*.json"');
+      expect(process.exit).toHaveBeenCalledWith(2);
+    });
+
+    it('should not fail on unused and dynamic keys', async () => {
+      mockAuditTranslations.mockResolvedValue({ missing: [], unused: [{ key: 'old', files: [] }], dynamic: [{ expression: 'key' }] });
+
+      await run('audit');
+
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restore', () => {
+    it('should restore the given run from the backup directory', async () => {
+      mockRestoreRun.mockResolvedValue();
+
+      await run('restore', '20260101-120000', '--backup-dir', 'backups');
+
+      expect(mockRestoreRun).toHaveBeenCalledWith(path.resolve('backups'), '20260101-120000');
+      expect(mockConsoleLog).toHaveBeenCalledWith('✅ Restore completed successfully!');
+    });
+
+    it('should list the recorded runs', async () => {
+      mockListRuns.mockResolvedValue([
+        { id: 'run-2', files: [{}, {}], restoredAt: null },
+        { id: 'run-1', files: [{}], restoredAt: '2026-01-02T10:00:00.000Z' }
+      ]);
+
+      await run('restore', '--list');
+
+      expect(mockListRuns).toHaveBeenCalledWith(path.resolve('.ng-i18n-extract'));
+      expect(mockRestoreRun).not.toHaveBeenCalled();
+      expect(mockConsoleLog.mock.calls.map(([line]) => line)).toEqual([
+        'run-2  2 files',
+        'run-1  1 files (restored 2026-01-02T10:00:00.000Z)'
+      ]);
+    });
+
+    it('should exit with code 1 when the restore is refused', async () => {
+      mockRestoreRun.mockRejectedValue(new Error('src/app.html was changed after run run-1'));
+
+      await run('restore');
+
+      expect(mockRestoreRun).toHaveBeenCalledWith(path.resolve('.ng-i18n-extract'), null);
+      expect(mockConsoleError).toHaveBeenCalledWith('❌ Error during restore:', 'src/app.html was changed after run run-1');
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('import', () => {
+    it('should pick the importer by file extension', async () => {
+      mockImportPo.mockResolvedValue();
+      mockImportXliff.mockResolvedValue();
+
+      await run('import', 'locale/de.po', '-o', 'i18n/de.json', '--json-structure', 'nested');
+      await run('import', 'locale/messages.fr.xlf', '-o', 'i18n/fr.json', '-l', 'fr');
+
+      expect(mockImportPo).toHaveBeenCalledWith(path.resolve('locale/de.po'), path.resolve('i18n/de.json'), { locale: undefined, jsonStructure: 'nested' });
+      expect(mockImportXliff).toHaveBeenCalledWith(path.resolve('locale/messages.fr.xlf'), path.resolve('i18n/fr.json'), { locale: 'fr', jsonStructure: 'flat' });
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    it('should exit with code 1 when the import fails', async () => {
+      mockImportXliff.mockRejectedValue(new Error('Unsupported XLIFF version'));
+
+      await run('import', 'messages.xlf', '-o', 'i18n/de.json');
+
+      expect(mockConsoleError).toHaveBeenCalledWith('❌ Error during import:', 'Unsupported XLIFF version');
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+  });
+});
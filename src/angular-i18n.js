@@ -0,0 +1,178 @@
+const { escapeXml } = require('./xliff');
+
+// Placeholder names used by the Angular compiler for common tags, so messages.xlf
+// matches what `ng extract-i18n` would produce
+const TAG_PLACEHOLDER_NAMES = {
+  a: 'LINK',
+  b: 'BOLD_TEXT',
+  br: 'LINE_BREAK',
+  em: 'EMPHASISED_TEXT',
+  h1: 'HEADING_LEVEL1',
+  h2: 'HEADING_LEVEL2',
+  h3: 'HEADING_LEVEL3',
+  h4: 'HEADING_LEVEL4',
+  h5: 'HEADING_LEVEL5',
+  h6: 'HEADING_LEVEL6',
+  hr: 'HORIZONTAL_RULE',
+  i: 'ITALIC_TEXT',
+  li: 'LIST_ITEM',
+  link: 'MEDIA_LINK',
+  ol: 'ORDERED_LIST',
+  p: 'PARAGRAPH',
+  q: 'QUOTATION',
+  s: 'STRIKETHROUGH_TEXT',
+  small: 'SMALL_TEXT',
+  sub: 'SUBSTRIPT',
+  sup: 'SUPERSCRIPT',
+  tbody: 'TABLE_BODY',
+  td: 'TABLE_CELL',
+  tfoot: 'TABLE_FOOTER',
+  th: 'TABLE_HEADER_CELL',
+  thead: 'TABLE_HEADER',
+  tr: 'TABLE_ROW',
+  tt: 'MONOSPACED_TEXT',
+  u: 'UNDERLINED_TEXT',
+  ul: 'UNORDERED_LIST'
+};
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// i18n="meaning|description@@id"
+function parseI18nMetadata(value) {
+  const [meaningAndDescription, id] = (value || '').split('@@');
+  const separator = meaningAndDescription.indexOf('|');
+  return {
+    meaning: separator >= 0 ? meaningAndDescription.substring(0, separator) : null,
+    description: (separator >= 0 ? meaningAndDescription.substring(separator + 1) : meaningAndDescription) || null,
+    id: id || null
+  };
+}
+
+function buildI18nMetadata({ meaning, description, id }) {
+  const prefix = meaning ? `${meaning}|${description || ''}` : (description || '');
+  return id ? `${prefix}@@${id}` : prefix;
+}
+
+function escapeMarkupText(text) {
+  // Templates are read without decoding entities, so existing entities are kept as they are
+  return escapeXml(text).replace(/&amp;(#?\w+;)/g, '&$1');
+}
+
+function getCtype(tagName) {
+  if (tagName === 'br') {
+    return 'lb';
+  }
+  return tagName === 'img' ? 'image' : `x-${tagName}`;
+}
+
+function createPlaceholderRegistry() {
+  const namesBySignature = new Map();
+  const usedNames = new Set();
+
+  return (baseName, signature) => {
+    if (namesBySignature.has(signature)) {
+      return namesBySignature.get(signature);
+    }
+
+    // Different content with the same base name is numbered: INTERPOLATION, INTERPOLATION_1
+    let name = baseName;
+    for (let suffix = 1; usedNames.has(name); suffix++) {
+      name = `${baseName}_${suffix}`;
+    }
+    usedNames.add(name);
+    namesBySignature.set(signature, name);
+    return name;
+  };
+}
+
+function buildPlaceholder(id, equivText, ctype = null) {
+  const ctypeAttribute = ctype ? ` ctype="${ctype}"` : '';
+  return `<x id="${id}"${ctypeAttribute} equiv-text="${escapeXml(equivText)}"/>`;
+}
+
+function buildTextMarkup(text, getPlaceholderName) {
+  const parts = [];
+  let lastIndex = 0;
+  text.replace(/\{\{([\s\S]+?)\}\}/g, (match, expression, index) => {
+    parts.push(escapeMarkupText(text.substring(lastIndex, index)));
+    const name = getPlaceholderName('INTERPOLATION', `{{${expression.trim()}}}`);
+    parts.push(buildPlaceholder(name, match));
+    lastIndex = index + match.length;
+    return match;
+  });
+  parts.push(escapeMarkupText(text.substring(lastIndex)));
+  return parts.join('');
+}
+
+function getStartTagText(node, content) {
+  const location = node.sourceCodeLocation && node.sourceCodeLocation.startTag;
+  if (location && content) {
+    return content.substring(location.startOffset, location.endOffset);
+  }
+
+  const attributes = Object.entries(node.attribs || {}).map(([name, value]) => ` ${name}="${value}"`).join('');
+  return `<${node.name}${attributes}>`;
+}
+
+// XLIFF 1.2 source markup for the children of an element: text with <x/> placeholders
+// for nested tags and {{ }} interpolations
+function buildMessageMarkup(element, content = null) {
+  const getPlaceholderName = createPlaceholderRegistry();
+
+  const visit = node => {
+    if (node.type === 'text') {
+      return buildTextMarkup(node.data, getPlaceholderName);
+    }
+    if (node.type !== 'tag') {
+      return '';
+    }
+
+    const tagName = node.name.toLowerCase();
+    const baseName = TAG_PLACEHOLDER_NAMES[tagName] || `TAG_${tagName.toUpperCase()}`;
+    const startTag = getStartTagText(node, content);
+    const ctype = getCtype(tagName);
+
+    if (VOID_ELEMENTS.has(tagName)) {
+      return buildPlaceholder(getPlaceholderName(baseName, startTag), startTag, ctype);
+    }
+
+    const startName = getPlaceholderName(`START_${baseName}`, startTag);
+    const closeName = getPlaceholderName(`CLOSE_${baseName}`, `</${tagName}>`);
+    return buildPlaceholder(startName, startTag, ctype) +
+      (node.children || []).map(visit).join('') +
+      buildPlaceholder(closeName, `</${node.name}>`, ctype);
+  };
+
+  return (element.children || []).map(visit).join('').trim();
+}
+
+function buildAttributeMarkup(value) {
+  return buildTextMarkup(value.trim(), createPlaceholderRegistry());
+}
+
+function escapeLocalizeText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+}
+
+// $localize`:@@id:text`, the TypeScript counterpart of an i18n attribute
+function buildLocalizeCall(id, text) {
+  return `$localize\`:@@${id}:${escapeLocalizeText(text)}\``;
+}
+
+// Inverse of buildLocalizeCall for the cooked text of a $localize template
+function parseLocalizeText(text) {
+  const match = text.match(/^:([^:]*):([\s\S]*)$/);
+  if (!match) {
+    return { meaning: null, description: null, id: null, text };
+  }
+  return { ...parseI18nMetadata(match[1]), text: match[2] };
+}
+
+module.exports = {
+  parseI18nMetadata,
+  buildI18nMetadata,
+  buildMessageMarkup,
+  buildAttributeMarkup,
+  buildLocalizeCall,
+  parseLocalizeText
+};
@@ -0,0 +1,90 @@
+const cheerio = require('cheerio');
+const {
+  parseI18nMetadata,
+  buildI18nMetadata,
+  buildMessageMarkup,
+  buildAttributeMarkup,
+  buildLocalizeCall,
+  parseLocalizeText
+} = require('./angular-i18n');
+
+describe('angular-i18n', () => {
+  const loadElement = (html, selector) => {
+    const $ = cheerio.load(html, { decodeEntities: false, sourceCodeLocationInfo: true });
+    return $(selector).get(0);
+  };
+
+  describe('parseI18nMetadata', () => {
+    it('should split meaning, description and id', () => {
+      expect(parseI18nMetadata('home|Welcome heading@@app.home.welcome')).toEqual({
+        meaning: 'home',
+        description: 'Welcome heading',
+        id: 'app.home.welcome'
+      });
+    });
+
+    it('should treat text without a separator as the description', () => {
+      expect(parseI18nMetadata('Welcome heading')).toEqual({ meaning: null, description: 'Welcome heading', id: null });
+      expect(parseI18nMetadata('')).toEqual({ meaning: null, description: null, id: null });
+    });
+  });
+
+  describe('buildI18nMetadata', () => {
+    it('should be the inverse of parseI18nMetadata', () => {
+      ['home|Welcome heading@@app.home.welcome', 'Welcome heading@@app.x', 'home|@@app.x', 'Welcome heading'].forEach(value => {
+        expect(buildI18nMetadata(parseI18nMetadata(value))).toBe(value);
+      });
+    });
+  });
+
+  describe('buildMessageMarkup', () => {
+    it('should replace interpolations with numbered placeholders', () => {
+      const html = '<p>{{ a }} and {{ b }} and {{a}} &amp; "more"</p>';
+      expect(buildMessageMarkup(loadElement(html, 'p'), html)).toBe(
+        '<x id="INTERPOLATION" equiv-text="{{ a }}"/> and ' +
+        '<x id="INTERPOLATION_1" equiv-text="{{ b }}"/> and ' +
+        '<x id="INTERPOLATION" equiv-text="{{a}}"/> &amp; &quot;more&quot;'
+      );
+    });
+
+    it('should use Angular placeholder names for nested and void tags', () => {
+      const html = '<p>Read <a href="/terms">the <b>terms</b></a><br>or <span class="x">skip</span></p>';
+      expect(buildMessageMarkup(loadElement(html, 'p'), html)).toBe(
+        'Read <x id="START_LINK" ctype="x-a" equiv-text="&lt;a href=&quot;/terms&quot;&gt;"/>the ' +
+        '<x id="START_BOLD_TEXT" ctype="x-b" equiv-text="&lt;b&gt;"/>terms' +
+        '<x id="CLOSE_BOLD_TEXT" ctype="x-b" equiv-text="&lt;/b&gt;"/>' +
+        '<x id="CLOSE_LINK" ctype="x-a" equiv-text="&lt;/a&gt;"/>' +
+        '<x id="LINE_BREAK" ctype="lb" equiv-text="&lt;br&gt;"/>or ' +
+        '<x id="START_TAG_SPAN" ctype="x-span" equiv-text="&lt;span class=&quot;x&quot;&gt;"/>skip' +
+        '<x id="CLOSE_TAG_SPAN" ctype="x-span" equiv-text="&lt;/span&gt;"/>'
+      );
+    });
+
+    it('should number different start tags of the same element', () => {
+      const html = '<p><b>one</b> <b class="x">two</b></p>';
+      expect(buildMessageMarkup(loadElement(html, 'p'), html)).toContain('<x id="START_BOLD_TEXT_1" ctype="x-b" equiv-text="&lt;b class=&quot;x&quot;&gt;"/>');
+    });
+  });
+
+  describe('buildAttributeMarkup', () => {
+    it('should escape attribute text', () => {
+      expect(buildAttributeMarkup(' Search <all> ')).toBe('Search &lt;all&gt;');
+    });
+  });
+
+  describe('$localize', () => {
+    it('should build tagged templates with escaped text', () => {
+      expect(buildLocalizeCall('app.title', 'Use `npm` or ${x}')).toBe('$localize`:@@app.title:Use \\`npm\\` or \\${x}`');
+    });
+
+    it('should parse the id and text of a $localize template', () => {
+      expect(parseLocalizeText(':home|Title@@app.title:Account settings')).toEqual({
+        meaning: 'home',
+        description: 'Title',
+        id: 'app.title',
+        text: 'Account settings'
+      });
+      expect(parseLocalizeText('Account settings').id).toBeNull();
+    });
+  });
+});
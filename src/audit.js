@@ -0,0 +1,510 @@
+const fs = require('fs').promises;
+const path = require('path');
+const glob = require('glob');
+const cheerio = require('cheerio');
+const babelParser = require('@babel/parser');
+const { TextExtractor, walkAst } = require('./extractor');
+const { flattenTranslations } = require('./nested-json');
+
+const AUDIT_REPORT_FORMATS = ['text', 'json'];
+
+// Service methods that take a key or an array of keys, per framework
+const SERVICE_METHODS = {
+  'ngx-translate': ['instant', 'get', 'stream'],
+  transloco: ['translate', 'selectTranslate']
+};
+
+// Bound attributes ([title], bind-title, *ngIf) hold an expression instead of text
+const BOUND_ATTRIBUTE = /^(\[[^\]]+\]|bind-.+|\*.+)$/;
+
+// Values of the standard HTML translate attribute, which are not ngx-translate keys
+const HTML_TRANSLATE_VALUES = ['yes', 'no'];
+
+// 1-based line and column of an offset, shifted to the position of an inline template in its .ts file
+function getLocation(content, offset, origin = null) {
+  const lines = content.slice(0, offset).split('\n');
+  const line = lines.length;
+  const column = lines[lines.length - 1].length + 1;
+  if (!origin) {
+    return { line, column };
+  }
+  return line === 1
+    ? { line: origin.line, column: origin.column + column - 1 }
+    : { line: origin.line + line - 1, column };
+}
+
+// Operands of the translate (or transloco) pipes in a template expression, with their offsets.
+// Pipes bind weaker than anything else, so the operand reaches back to the enclosing bracket or separator.
+function findTranslatePipes(expression, pipe = 'translate') {
+  const pipePattern = new RegExp(`^\\|\\s*${pipe}\\b`);
+  const pipes = [];
+  const segments = [{ start: 0, bracket: null }];
+  let quote = null;
+
+  for (let i = 0; i < expression.length; i++) {
+    const char = expression[i];
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+
+    const segment = segments[segments.length - 1];
+    if (char === '\'' || char === '"' || char === '`') {
+      quote = char;
+    } else if ('([{'.includes(char)) {
+      segments.push({ start: i + 1, bracket: char });
+    } else if (')]}'.includes(char)) {
+      if (segments.length > 1) {
+        segments.pop();
+      }
+    } else if (char === ',' || char === ';' || (char === ':' && segment.bracket === '{')) {
+      segment.start = i + 1;
+    } else if (char === '|' && expression[i + 1] !== '|' && expression[i - 1] !== '|' &&
+               pipePattern.test(expression.slice(i))) {
+      const operand = expression.slice(segment.start, i);
+      pipes.push({
+        expression: operand.trim(),
+        offset: segment.start + operand.length - operand.trimStart().length
+      });
+    }
+  }
+
+  return pipes;
+}
+
+function findTranslocoVariables(content) {
+  const pattern = /\*transloco\s*=\s*["']\s*let\s+([\w$]+)/g;
+  const variables = [];
+  let match;
+  while ((match = pattern.exec(content)) !== null) {
+    variables.push(match[1]);
+  }
+  return variables;
+}
+
+// Key arguments of calls to the given variables, e.g. t('home.title', { name }), with their offsets
+function findVariableCalls(expression, variables) {
+  if (variables.length === 0) {
+    return [];
+  }
+  const names = variables.map(variable => variable.replace(/\$/g, '\\$')).join('|');
+  const pattern = new RegExp(`(?<![\\w$.])(?:${names})\\(\\s*('(?:[^'\\\\]|\\\\.)*'|"(?:[^"\\\\]|\\\\.)*"|[^,)]+)`, 'g');
+  const calls = [];
+  let match;
+  while ((match = pattern.exec(expression)) !== null) {
+    calls.push({ expression: match[1].trim(), offset: match.index + match[0].length - match[1].length });
+  }
+  return calls;
+}
+
+// Leading static part of a key built by concatenation or a template literal
+function getStaticPrefix(node) {
+  if (node.type === 'StringLiteral') {
+    return node.value;
+  }
+  if (node.type === 'TemplateLiteral') {
+    return node.quasis[0].value.cooked;
+  }
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    return getStaticPrefix(node.left);
+  }
+  return '';
+}
+
+// Keys an expression can evaluate to: literals (also in ternaries, fallbacks and arrays) are static,
+// anything computed at runtime is dynamic with the static prefix it starts with, if any
+function resolveKeyNode(node) {
+  if (!node) {
+    return { keys: [], prefixes: [] };
+  }
+
+  const merge = (...nodes) => nodes.map(resolveKeyNode).reduce((result, next) => ({
+    keys: [...result.keys, ...next.keys],
+    prefixes: [...result.prefixes, ...next.prefixes]
+  }), { keys: [], prefixes: [] });
+
+  switch (node.type) {
+    case 'StringLiteral':
+      return { keys: [node.value], prefixes: [] };
+    case 'TemplateLiteral':
+      return node.expressions.length === 0
+        ? { keys: [node.quasis[0].value.cooked], prefixes: [] }
+        : { keys: [], prefixes: [getStaticPrefix(node)] };
+    case 'ConditionalExpression':
+      return merge(node.consequent, node.alternate);
+    case 'LogicalExpression':
+      return merge(node.left, node.right);
+    case 'ArrayExpression':
+      return merge(...node.elements);
+    default:
+      return { keys: [], prefixes: [getStaticPrefix(node)] };
+  }
+}
+
+function resolveKeyExpression(expression) {
+  try {
+    return resolveKeyNode(babelParser.parseExpression(expression, { plugins: ['typescript'] }));
+  } catch (error) {
+    // Not plain JavaScript (e.g. a nested pipe), so the key is only known at runtime
+    return { keys: [], prefixes: [''] };
+  }
+}
+
+class KeyUsageScanner {
+  constructor(options) {
+    this.extractor = new TextExtractor({ ...options, quiet: true });
+    this.transloco = this.extractor.framework === 'transloco';
+    this.serviceClassName = this.transloco ? 'TranslocoService' : 'TranslateService';
+    this.serviceMethods = SERVICE_METHODS[this.transloco ? 'transloco' : 'ngx-translate'];
+    this.usages = [];
+    this.dynamicUsages = [];
+  }
+
+  addUsage(expression, resolved, filePath, location) {
+    const file = this.extractor.toRelativePath(filePath);
+    resolved.keys.forEach(key => {
+      this.usages.push({ key, file, line: location.line, column: location.column });
+    });
+    resolved.prefixes.forEach(prefix => {
+      this.dynamicUsages.push({ expression, prefix, file, line: location.line, column: location.column });
+    });
+  }
+
+  async scanDirectory(dirPath) {
+    const { htmlFiles, tsFiles } = this.extractor.findSourceFiles(dirPath);
+    for (const file of [...htmlFiles, ...tsFiles]) {
+      await this.scanFile(path.join(dirPath, file));
+    }
+  }
+
+  async scanFile(fullPath) {
+    try {
+      const content = await fs.readFile(fullPath, 'utf8');
+      if (fullPath.endsWith('.html')) {
+        this.scanTemplate(content, fullPath);
+      } else {
+        this.scanTypeScript(content, fullPath);
+      }
+    } catch (error) {
+      console.warn(`Warning: Could not scan ${fullPath}:`, error.message);
+    }
+  }
+
+  scanTemplate(content, filePath, origin = null) {
+    // Transloco: t('key') calls of the *transloco="let t" variables
+    const variables = this.transloco ? findTranslocoVariables(content) : [];
+    const addExpressionPipes = (expression, offset) => {
+      findTranslatePipes(expression, this.transloco ? 'transloco' : 'translate').forEach(pipe => {
+        this.addUsage(pipe.expression, resolveKeyExpression(pipe.expression), filePath,
+          getLocation(content, offset + pipe.offset, origin));
+      });
+      findVariableCalls(expression, variables).forEach(call => {
+        this.addUsage(call.expression, resolveKeyExpression(call.expression), filePath,
+          getLocation(content, offset + call.offset, origin));
+      });
+    };
+
+    // Interpolations, in text as well as in attribute values
+    const interpolation = /\{\{([\s\S]*?)\}\}/g;
+    let match;
+    while ((match = interpolation.exec(content)) !== null) {
+      addExpressionPipes(match[1], match.index + 2);
+    }
+
+    const $ = cheerio.load(content, {
+      xmlMode: false,
+      decodeEntities: false,
+      lowerCaseAttributeNames: false,
+      lowerCaseTags: false,
+      recognizeSelfClosing: true,
+      sourceCodeLocationInfo: true
+    });
+
+    $('*').each((index, element) => {
+      Object.keys(element.attribs).forEach(name => {
+        const range = this.extractor.getAttributeRange(element, name.toLowerCase());
+        if (!range) {
+          return;
+        }
+
+        if (name === 'translate') {
+          this.scanTranslateDirective(element, content, filePath, range, origin);
+        } else if (name === '[translate]') {
+          const expression = element.attribs[name];
+          this.addUsage(expression.trim(), resolveKeyExpression(expression), filePath, getLocation(content, range.start, origin));
+        } else if (BOUND_ATTRIBUTE.test(name)) {
+          const source = content.slice(range.start, range.end);
+          const valueStart = source.match(/=\s*["']?/);
+          if (valueStart) {
+            addExpressionPipes(element.attribs[name], range.start + valueStart.index + valueStart[0].length);
+          }
+        }
+      });
+    });
+  }
+
+  // <span translate>key</span> or <span translate="key"></span>
+  scanTranslateDirective(element, content, filePath, attributeRange, origin) {
+    const value = element.attribs.translate.trim();
+    if (HTML_TRANSLATE_VALUES.includes(value)) {
+      return;
+    }
+
+    let key = value;
+    let location = getLocation(content, attributeRange.start, origin);
+    if (!key) {
+      const contentRange = this.extractor.getElementContentRange(element, content);
+      if (!contentRange || contentRange.start === contentRange.end) {
+        return;
+      }
+      key = content.slice(contentRange.start, contentRange.end);
+      location = getLocation(content, contentRange.start, origin);
+    }
+
+    const dynamicStart = key.indexOf('{{');
+    const resolved = dynamicStart === -1
+      ? { keys: [key], prefixes: [] }
+      : { keys: [], prefixes: [key.slice(0, dynamicStart)] };
+    this.addUsage(key, resolved, filePath, location);
+  }
+
+  scanTypeScript(content, filePath) {
+    const ast = this.extractor.parseTypeScript(content);
+    const serviceNames = this.findServiceNames(ast);
+    walkAst(ast.program, (node, ancestors) => {
+      if (this.extractor.isInlineTemplate(node, ancestors)) {
+        const { start, end, loc } = node.quasis[0];
+        this.scanTemplate(content.slice(start, end), filePath, { line: loc.start.line, column: loc.start.column + 1 });
+        return;
+      }
+
+      if (!this.isTranslateServiceCall(node, serviceNames) || node.arguments.length === 0) {
+        return;
+      }
+
+      const argument = node.arguments[0];
+      this.addUsage(content.slice(argument.start, argument.end), resolveKeyNode(argument), filePath, {
+        line: argument.loc.start.line,
+        column: argument.loc.start.column + 1
+      });
+    });
+  }
+
+  // Fields, constructor parameters and variables that hold the injected TranslateService
+  findServiceNames(ast) {
+    const names = new Set();
+    const isServiceType = typeAnnotation => {
+      const type = typeAnnotation && typeAnnotation.typeAnnotation;
+      return !!type && type.type === 'TSTypeReference' && type.typeName.type === 'Identifier' && type.typeName.name === this.serviceClassName;
+    };
+
+    walkAst(ast.program, node => {
+      if (node.type === 'ClassProperty' && node.key.type === 'Identifier' &&
+          (this.extractor.isInjectCall(node.value, this.serviceClassName) || isServiceType(node.typeAnnotation))) {
+        names.add(node.key.name);
+      } else if (node.type === 'Identifier' && isServiceType(node.typeAnnotation)) {
+        // Constructor parameters, with or without an access modifier
+        names.add(node.name);
+      } else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' &&
+                 this.extractor.isInjectCall(node.init, this.serviceClassName)) {
+        names.add(node.id.name);
+      }
+    });
+    return names;
+  }
+
+  // this.translate.instant(...), translateService.get(...) or inject(TranslateService).stream(...),
+  // where translate and translateService hold the injected TranslateService
+  isTranslateServiceCall(node, serviceNames = new Set()) {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' ||
+        node.callee.computed || !this.serviceMethods.includes(node.callee.property.name)) {
+      return false;
+    }
+
+    const target = node.callee.object;
+    if (this.extractor.isInjectCall(target, this.serviceClassName)) {
+      return true;
+    }
+    if (target.type === 'MemberExpression') {
+      return target.object.type === 'ThisExpression' && !target.computed && serviceNames.has(target.property.name);
+    }
+    return target.type === 'Identifier' && serviceNames.has(target.name);
+  }
+}
+
+// Files written by extract wrap the keys in { locale, translations }; plain ngx-translate files are the keys themselves
+async function readTranslationKeys(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Translation file not found: ${filePath}`);
+    }
+    throw error;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Could not parse translations in ${filePath}: ${error.message}`);
+  }
+
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Could not read translations in ${filePath}: expected a JSON object`);
+  }
+
+  const wrapped = typeof parsed.locale === 'string' && Object.prototype.hasOwnProperty.call(parsed, 'translations');
+  return {
+    locale: wrapped ? parsed.locale : null,
+    keys: Object.keys(flattenTranslations(wrapped ? parsed.translations : parsed))
+  };
+}
+
+// Explicit files or globs, otherwise the JSON files extract writes for the output path and locales
+function resolveTranslationFiles(options, extractor) {
+  if (options.translations && options.translations.length > 0) {
+    const files = options.translations.flatMap(pattern => {
+      const matches = glob.sync(pattern, { nodir: true, absolute: true });
+      if (matches.length === 0) {
+        throw new Error(`No translation files match "${pattern}"`);
+      }
+      return matches;
+    });
+    return Array.from(new Set(files.map(file => path.resolve(file)))).sort();
+  }
+
+  const locales = Array.from(new Set([options.locale, ...(options.locales || [])]));
+  return locales.map(locale => extractor.getLocaleOutputPath(options.outputPath, locale));
+}
+
+function compareLocations(a, b) {
+  return a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column;
+}
+
+// Compares the keys used in the code with the keys of each translation file
+function buildAudit(usages, dynamicUsages, translationFiles) {
+  const usagesByKey = new Map();
+  usages.forEach(usage => {
+    if (!usagesByKey.has(usage.key)) {
+      usagesByKey.set(usage.key, []);
+    }
+    usagesByKey.get(usage.key).push({ file: usage.file, line: usage.line, column: usage.column });
+  });
+
+  const missing = Array.from(usagesByKey.keys()).sort().map(key => ({
+    key,
+    files: translationFiles.filter(file => !file.keySet.has(key)).map(file => file.file),
+    usages: usagesByKey.get(key).sort(compareLocations)
+  })).filter(entry => entry.files.length > 0);
+
+  const fileKeys = Array.from(new Set(translationFiles.flatMap(file => file.keys))).sort();
+  const unreferencedKeys = fileKeys.filter(key => !usagesByKey.has(key));
+
+  // A dynamic usage can reach the unreferenced keys that start with its static prefix
+  const dynamic = dynamicUsages.slice().sort(compareLocations).map(usage => ({
+    ...usage,
+    keys: usage.prefix ? unreferencedKeys.filter(key => key.startsWith(usage.prefix)) : []
+  }));
+  const dynamicKeys = new Set(dynamic.flatMap(usage => usage.keys));
+
+  const unused = unreferencedKeys.filter(key => !dynamicKeys.has(key)).map(key => ({
+    key,
+    files: translationFiles.filter(file => file.keySet.has(key)).map(file => file.file)
+  }));
+
+  return {
+    translationFiles: translationFiles.map(({ file, locale, keys }) => ({ file, locale, keys: keys.length })),
+    missing,
+    unused,
+    dynamic
+  };
+}
+
+function formatLocation(location) {
+  return `${location.file}:${location.line}:${location.column}`;
+}
+
+function buildTextReport(audit) {
+  const lines = [
+    `Translation files: ${audit.translationFiles.map(file => `${file.file} (${file.keys} keys)`).join(', ')}`
+  ];
+
+  if (audit.missing.length > 0) {
+    lines.push('', `Missing keys (${audit.missing.length}):`);
+    audit.missing.forEach(entry => {
+      lines.push(`  ${entry.key}: missing in ${entry.files.join(', ')}, used at ${entry.usages.map(formatLocation).join(', ')}`);
+    });
+  }
+
+  if (audit.unused.length > 0) {
+    lines.push('', `Unused keys (${audit.unused.length}):`);
+    audit.unused.forEach(entry => {
+      lines.push(`  ${entry.key}: in ${entry.files.join(', ')}`);
+    });
+  }
+
+  if (audit.dynamic.length > 0) {
+    lines.push('', `Dynamic keys (${audit.dynamic.length}):`);
+    audit.dynamic.forEach(usage => {
+      const target = usage.prefix ? `any key starting with "${usage.prefix}"` : 'any key';
+      const keys = usage.keys.length > 0 ? `: ${usage.keys.join(', ')}` : '';
+      lines.push(`  ${formatLocation(usage)}: ${usage.expression} can be ${target}${keys}`);
+    });
+  }
+
+  lines.push('', `Found ${audit.missing.length} missing, ${audit.unused.length} unused and ${audit.dynamic.length} dynamic keys`);
+  return `${lines.join('\n')}\n`;
+}
+
+function buildAuditReport(audit, format = 'text') {
+  if (!AUDIT_REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown report format "${format}". Expected one of: ${AUDIT_REPORT_FORMATS.join(', ')}`);
+  }
+  return format === 'json' ? `${JSON.stringify(audit, null, 2)}\n` : buildTextReport(audit);
+}
+
+// Returns the audit; the report goes to reportOutput when set, otherwise to stdout
+async function auditTranslations(options) {
+  const format = options.reportFormat || 'text';
+  // Fail on a bad format before scanning the whole project
+  buildAuditReport({ translationFiles: [], missing: [], unused: [], dynamic: [] }, format);
+
+  const scanner = new KeyUsageScanner(options);
+  const translationFiles = [];
+  for (const filePath of resolveTranslationFiles(options, scanner.extractor)) {
+    const { locale, keys } = await readTranslationKeys(filePath);
+    translationFiles.push({ file: scanner.extractor.toRelativePath(filePath), locale, keys, keySet: new Set(keys) });
+  }
+
+  await scanner.scanDirectory(options.srcPath);
+  const audit = buildAudit(scanner.usages, scanner.dynamicUsages, translationFiles);
+  const report = buildAuditReport(audit, format);
+
+  if (options.reportOutput) {
+    await fs.mkdir(path.dirname(options.reportOutput), { recursive: true });
+    await fs.writeFile(options.reportOutput, report, 'utf8');
+    console.log(`📝 Saved ${format} audit report to ${options.reportOutput}`);
+  } else {
+    process.stdout.write(report);
+  }
+
+  return audit;
+}
+
+module.exports = {
+  AUDIT_REPORT_FORMATS,
+  findTranslatePipes,
+  findVariableCalls,
+  resolveKeyExpression,
+  KeyUsageScanner,
+  readTranslationKeys,
+  buildAudit,
+  buildAuditReport,
+  auditTranslations
+};
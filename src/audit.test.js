@@ -0,0 +1,317 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  findTranslatePipes,
+  resolveKeyExpression,
+  KeyUsageScanner,
+  readTranslationKeys,
+  buildAudit,
+  buildAuditReport,
+  auditTranslations
+} = require('./audit');
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn(),
+    mkdir: jest.fn(),
+  }
+}));
+
+jest.mock('glob', () => ({
+  sync: jest.fn()
+}));
+
+const glob = require('glob');
+
+describe('audit', () => {
+  const rootDir = path.resolve('/project');
+  const srcPath = path.join(rootDir, 'src');
+  const templatePath = path.join(srcPath, 'app', 'home', 'home.component.html');
+  const componentPath = path.join(srcPath, 'app', 'home', 'home.component.ts');
+
+  let scanner;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scanner = new KeyUsageScanner({ rootDir });
+  });
+
+  describe('findTranslatePipes', () => {
+    it('should find the operand of each translate pipe', () => {
+      expect(findTranslatePipes(" 'home.title' | translate ")).toEqual([{ expression: "'home.title'", offset: 1 }]);
+      expect(findTranslatePipes("(isNew ? 'a' : 'b') | translate:{ name: ('c' | translate) } | uppercase").map(pipe => pipe.expression))
+        .toEqual(["(isNew ? 'a' : 'b')", "'c'"]);
+      expect(findTranslatePipes("{ label: 'menu.open' | translate, count: n }")).toEqual([{ expression: "'menu.open'", offset: 9 }]);
+    });
+
+    it('should ignore other pipes, logical or and pipes inside strings', () => {
+      expect(findTranslatePipes("date | date:'short'")).toEqual([]);
+      expect(findTranslatePipes("a || b")).toEqual([]);
+      expect(findTranslatePipes("'a | translate'")).toEqual([]);
+      expect(findTranslatePipes("title | translatePipe")).toEqual([]);
+    });
+  });
+
+  describe('resolveKeyExpression', () => {
+    it('should resolve literals, ternaries and fallbacks to static keys', () => {
+      expect(resolveKeyExpression("'home.title'")).toEqual({ keys: ['home.title'], prefixes: [] });
+      expect(resolveKeyExpression("(isNew ? 'home.create' : 'home.edit')")).toEqual({ keys: ['home.create', 'home.edit'], prefixes: [] });
+      expect(resolveKeyExpression("item.label || 'menu.untitled'")).toEqual({ keys: ['menu.untitled'], prefixes: [''] });
+    });
+
+    it('should keep the static prefix of keys built at runtime', () => {
+      expect(resolveKeyExpression("'errors.' + code")).toEqual({ keys: [], prefixes: ['errors.'] });
+      expect(resolveKeyExpression('`status.${status}.label`')).toEqual({ keys: [], prefixes: ['status.'] });
+      expect(resolveKeyExpression('item.label')).toEqual({ keys: [], prefixes: [''] });
+      expect(resolveKeyExpression('item.label | lowercase')).toEqual({ keys: [], prefixes: [''] });
+    });
+  });
+
+  describe('KeyUsageScanner', () => {
+    it('should find keys used with the translate pipe in templates', () => {
+      scanner.scanTemplate([
+        "<h1>{{ 'home.title' | translate }}</h1>",
+        "<input [placeholder]=\"'home.search' | translate\" title=\"{{ 'home.tooltip' | translate }}\">",
+        "<p *ngIf=\"('home.intro' | translate) as intro\">{{ intro }}</p>",
+        "<p>{{ 'errors.' + code | translate }}</p>"
+      ].join('\n'), templatePath);
+
+      expect(scanner.usages).toEqual([
+        { key: 'home.title', file: 'src/app/home/home.component.html', line: 1, column: 8 },
+        { key: 'home.tooltip', file: 'src/app/home/home.component.html', line: 2, column: 60 },
+        { key: 'home.search', file: 'src/app/home/home.component.html', line: 2, column: 23 },
+        { key: 'home.intro', file: 'src/app/home/home.component.html', line: 3, column: 12 }
+      ]);
+      expect(scanner.dynamicUsages).toEqual([
+        { expression: "'errors.' + code", prefix: 'errors.', file: 'src/app/home/home.component.html', line: 4, column: 7 }
+      ]);
+    });
+
+    it('should find keys used with the translate directive', () => {
+      scanner.scanTemplate([
+        '<span translate>home.directive</span>',
+        '<span translate="home.attribute" [translateParams]="{ n: 1 }"></span>',
+        "<span [translate]=\"'home.bound'\"></span>",
+        '<span translate="no">Acme</span>',
+        '<span translate>menu.{{ item.id }}</span>'
+      ].join('\n'), templatePath);
+
+      expect(scanner.usages.map(usage => [usage.key, usage.line, usage.column])).toEqual([
+        ['home.directive', 1, 17],
+        ['home.attribute', 2, 7],
+        ['home.bound', 3, 7]
+      ]);
+      expect(scanner.dynamicUsages.map(usage => [usage.expression, usage.prefix])).toEqual([
+        ['menu.{{ item.id }}', 'menu.']
+      ]);
+    });
+
+    it('should find TranslateService calls and inline templates in TypeScript', () => {
+      scanner.scanTypeScript([
+        '@Component({',
+        "  template: `<b>{{ 'inline.title' | translate }}</b>`",
+        '})',
+        'export class HomeComponent {',
+        '  private translateService = inject(TranslateService);',
+        '  private translations = new Map<string, string>();',
+        '  constructor(private translate: TranslateService) {}',
+        '  save() {',
+        "    this.toast.show(this.translate.instant('toast.saved'));",
+        "    this.translateService.get(['toast.a', 'toast.b']).subscribe();",
+        '    inject(TranslateService).stream(`status.${this.status}`);',
+        "    this.cache.get('not.a.key');",
+        "    this.translations.get('not.a.key.either');",
+        '  }',
+        '}'
+      ].join('\n'), componentPath);
+
+      expect(scanner.usages.map(usage => [usage.key, usage.line, usage.column])).toEqual([
+        ['toast.saved', 9, 44],
+        ['toast.a', 10, 31],
+        ['toast.b', 10, 31],
+        ['inline.title', 2, 20]
+      ]);
+      expect(scanner.dynamicUsages.map(usage => [usage.expression, usage.prefix])).toEqual([
+        ['`status.${this.status}`', 'status.']
+      ]);
+    });
+
+    it('should find Transloco pipes, directive calls and service calls in Transloco mode', () => {
+      const transloco = new KeyUsageScanner({ rootDir, framework: 'transloco' });
+      transloco.scanTemplate([
+        "<h1>{{ 'home.title' | transloco }}</h1>",
+        '<ng-container *transloco="let t">',
+        "  <p [title]=\"t('home.tooltip')\">{{ t('home.intro', { name: user.name }) }}</p>",
+        '</ng-container>'
+      ].join('\n'), templatePath);
+      transloco.scanTypeScript([
+        'export class HomeComponent {',
+        '  private transloco = inject(TranslocoService);',
+        "  message = this.transloco.translate('home.saved');",
+        '}'
+      ].join('\n'), componentPath);
+
+      expect(transloco.usages.map(usage => [usage.key, usage.line, usage.column])).toEqual([
+        ['home.title', 1, 8],
+        ['home.intro', 3, 39],
+        ['home.tooltip', 3, 17],
+        ['home.saved', 3, 38]
+      ]);
+    });
+  });
+
+  describe('readTranslationKeys', () => {
+    const filePath = path.join(rootDir, 'i18n', 'de.json');
+
+    it('should read files written by extract and plain ngx-translate files', async () => {
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({ locale: 'de', translations: { 'home.title': 'Titel' }, metadata: {} }));
+      await expect(readTranslationKeys(filePath)).resolves.toEqual({ locale: 'de', keys: ['home.title'] });
+
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({ home: { title: 'Titel', intro: 'Intro' } }));
+      await expect(readTranslationKeys(filePath)).resolves.toEqual({ locale: null, keys: ['home.title', 'home.intro'] });
+    });
+
+    it('should report missing and invalid files', async () => {
+      fs.readFile.mockRejectedValueOnce(Object.assign(new Error('ENOENT'), { code: 'ENOENT' }));
+      await expect(readTranslationKeys(filePath)).rejects.toThrow(`Translation file not found: ${filePath}`);
+
+      fs.readFile.mockResolvedValueOnce('{ home: }');
+      await expect(readTranslationKeys(filePath)).rejects.toThrow(`Could not parse translations in ${filePath}`);
+
+      fs.readFile.mockResolvedValueOnce('null');
+      await expect(readTranslationKeys(filePath)).rejects.toThrow(`Could not read translations in ${filePath}: expected a JSON object`);
+    });
+
+    it('should read catalogs with null values', async () => {
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({ locale: 'de', translations: null }));
+      await expect(readTranslationKeys(filePath)).resolves.toEqual({ locale: 'de', keys: [] });
+
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({ home: { title: null } }));
+      await expect(readTranslationKeys(filePath)).resolves.toEqual({ locale: null, keys: ['home.title'] });
+    });
+  });
+
+  describe('buildAudit', () => {
+    const translationFile = (file, keys) => ({ file, locale: null, keys, keySet: new Set(keys) });
+
+    it('should report missing, unused and dynamic keys', () => {
+      const usages = [
+        { key: 'home.title', file: 'src/b.html', line: 1, column: 1 },
+        { key: 'home.title', file: 'src/a.html', line: 2, column: 3 },
+        { key: 'home.new', file: 'src/a.html', line: 5, column: 1 }
+      ];
+      const dynamicUsages = [
+        { expression: "'errors.' + code", prefix: 'errors.', file: 'src/a.html', line: 9, column: 7 },
+        { expression: 'item.label', prefix: '', file: 'src/a.html', line: 4, column: 7 }
+      ];
+      const files = [
+        translationFile('i18n/en.json', ['home.title', 'home.new', 'errors.404', 'old.banner']),
+        translationFile('i18n/de.json', ['home.title', 'errors.404', 'errors.500'])
+      ];
+
+      const audit = buildAudit(usages, dynamicUsages, files);
+
+      expect(audit.translationFiles).toEqual([
+        { file: 'i18n/en.json', locale: null, keys: 4 },
+        { file: 'i18n/de.json', locale: null, keys: 3 }
+      ]);
+      expect(audit.missing).toEqual([
+        { key: 'home.new', files: ['i18n/de.json'], usages: [{ file: 'src/a.html', line: 5, column: 1 }] }
+      ]);
+      expect(audit.unused).toEqual([
+        { key: 'old.banner', files: ['i18n/en.json'] }
+      ]);
+      expect(audit.dynamic.map(usage => [usage.expression, usage.keys])).toEqual([
+        ['item.label', []],
+        ["'errors.' + code", ['errors.404', 'errors.500']]
+      ]);
+    });
+  });
+
+  describe('buildAuditReport', () => {
+    it('should build a plain text report', () => {
+      const report = buildAuditReport({
+        translationFiles: [{ file: 'i18n/en.json', locale: 'en', keys: 3 }],
+        missing: [{ key: 'home.new', files: ['i18n/en.json'], usages: [{ file: 'src/a.html', line: 5, column: 1 }] }],
+        unused: [{ key: 'old.banner', files: ['i18n/en.json'] }],
+        dynamic: [{ expression: "'errors.' + code", prefix: 'errors.', file: 'src/a.html', line: 9, column: 7, keys: ['errors.404'] }]
+      });
+
+      expect(report).toBe([
+        'Translation files: i18n/en.json (3 keys)',
+        '',
+        'Missing keys (1):',
+        '  home.new: missing in i18n/en.json, used at src/a.html:5:1',
+        '',
+        'Unused keys (1):',
+        '  old.banner: in i18n/en.json',
+        '',
+        'Dynamic keys (1):',
+        '  src/a.html:9:7: \'errors.\' + code can be any key starting with "errors.": errors.404',
+        '',
+        'Found 1 missing, 1 unused and 1 dynamic keys',
+        ''
+      ].join('\n'));
+    });
+
+    it('should reject unknown report formats', () => {
+      expect(() => buildAuditReport({}, 'sarif')).toThrow('Unknown report format "sarif". Expected one of: text, json');
+    });
+  });
+
+  describe('auditTranslations', () => {
+    const files = {
+      [templatePath]: "<h1>{{ 'home.title' | translate }}</h1>\n<p>{{ 'home.intro' | translate }}</p>",
+      [componentPath]: "export class HomeComponent {\n  private translate = inject(TranslateService);\n  title = this.translate.instant('home.title');\n}",
+      [path.join(rootDir, 'i18n', 'en.json')]: JSON.stringify({ locale: 'en', translations: { 'home.title': 'Home', 'home.intro': 'Intro' } }),
+      [path.join(rootDir, 'i18n', 'de.json')]: JSON.stringify({ locale: 'de', translations: { 'home.title': 'Start', 'home.old': 'Alt' } })
+    };
+
+    let mockStdout;
+
+    beforeEach(() => {
+      mockStdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      glob.sync.mockImplementation((patterns) => Array.isArray(patterns)
+        ? ['app/home/home.component.html', 'app/home/home.component.ts']
+        : [path.join(rootDir, 'i18n', 'de.json'), path.join(rootDir, 'i18n', 'en.json')]);
+      fs.readFile.mockImplementation(async (file) => files[file]);
+    });
+
+    afterEach(() => {
+      mockStdout.mockRestore();
+    });
+
+    it('should audit the translation files matching the given globs', async () => {
+      const audit = await auditTranslations({ srcPath, rootDir, translations: ['i18n/*.json'], reportFormat: 'json' });
+
+      expect(audit.missing).toEqual([{
+        key: 'home.intro',
+        files: ['i18n/de.json'],
+        usages: [{ file: 'src/app/home/home.component.html', line: 2, column: 7 }]
+      }]);
+      expect(audit.unused).toEqual([{ key: 'home.old', files: ['i18n/de.json'] }]);
+      expect(JSON.parse(mockStdout.mock.calls[0][0])).toEqual(audit);
+    });
+
+    it('should default to the files extract writes for the output and locales', async () => {
+      const audit = await auditTranslations({
+        srcPath,
+        rootDir,
+        outputPath: path.join(rootDir, 'i18n', 'en.json'),
+        locale: 'en',
+        locales: ['en', 'de']
+      });
+
+      expect(audit.translationFiles.map(file => file.file)).toEqual(['i18n/en.json', 'i18n/de.json']);
+      expect(mockStdout.mock.calls[0][0]).toContain('Found 1 missing, 1 unused and 0 dynamic keys');
+    });
+
+    it('should fail when a glob matches no translation file', async () => {
+      glob.sync.mockReturnValue([]);
+
+      await expect(auditTranslations({ srcPath, rootDir, translations: ['i18n/*.json'] }))
+        .rejects.toThrow('No translation files match "i18n/*.json"');
+    });
+  });
+});
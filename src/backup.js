@@ -0,0 +1,135 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { hashContent } = require('./extraction-cache');
+
+const DEFAULT_BACKUP_DIR = '.ng-i18n-extract';
+const MANIFEST_FILE = 'manifest.json';
+
+// File paths in a manifest are relative to the directory holding the backup directory, usually the project root
+function getProjectRoot(backupDir) {
+  return path.dirname(path.resolve(backupDir));
+}
+
+function getRunDir(backupDir, id) {
+  return path.join(backupDir, 'runs', id);
+}
+
+function createRunId(date) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+// files: [{ filePath, original, modified }] of one --replace run
+async function saveRun(backupDir, files, date = new Date()) {
+  const rootDir = getProjectRoot(backupDir);
+  const manifest = {
+    id: createRunId(date),
+    createdAt: date.toISOString(),
+    restoredAt: null,
+    files: files.map(({ filePath, original, modified }) => ({
+      path: path.relative(rootDir, filePath).split(path.sep).join('/'),
+      originalChecksum: hashContent(original),
+      checksum: hashContent(modified),
+      original
+    }))
+  };
+
+  const runDir = getRunDir(backupDir, manifest.id);
+  await fs.mkdir(runDir, { recursive: true });
+  await writeManifest(backupDir, manifest);
+  return manifest;
+}
+
+async function writeManifest(backupDir, manifest) {
+  await fs.writeFile(path.join(getRunDir(backupDir, manifest.id), MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf8');
+}
+
+async function readRun(backupDir, id) {
+  let content;
+  try {
+    content = await fs.readFile(path.join(getRunDir(backupDir, id), MANIFEST_FILE), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Run "${id}" not found in ${backupDir}. Use restore --list to see the recorded runs`);
+    }
+    throw error;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Could not parse the manifest of run "${id}": ${error.message}`);
+  }
+}
+
+// Recorded runs, oldest first
+async function listRuns(backupDir) {
+  let ids;
+  try {
+    ids = await fs.readdir(path.join(backupDir, 'runs'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const runs = [];
+  for (const id of ids.sort()) {
+    runs.push(await readRun(backupDir, id));
+  }
+  return runs;
+}
+
+// Files whose content is no longer what the run wrote; restoring them would lose those edits
+async function findEditedFiles(rootDir, manifest) {
+  const edited = [];
+  for (const file of manifest.files) {
+    try {
+      const content = await fs.readFile(path.join(rootDir, file.path), 'utf8');
+      if (hashContent(content) !== file.checksum) {
+        edited.push(file.path);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      edited.push(`${file.path} (deleted)`);
+    }
+  }
+  return edited;
+}
+
+// Puts back the original content of every file rewritten by a run; the latest run not restored yet by default
+async function restoreRun(backupDir, id = null) {
+  let manifest;
+  if (id) {
+    manifest = await readRun(backupDir, id);
+    if (manifest.restoredAt) {
+      throw new Error(`Run "${id}" was already restored at ${manifest.restoredAt}`);
+    }
+  } else {
+    manifest = (await listRuns(backupDir)).reverse().find(run => !run.restoredAt);
+    if (!manifest) {
+      throw new Error(`No run to restore in ${backupDir}`);
+    }
+  }
+
+  const rootDir = getProjectRoot(backupDir);
+  const edited = await findEditedFiles(rootDir, manifest);
+  if (edited.length > 0) {
+    const noun = edited.length === 1 ? 'file was' : 'files were';
+    throw new Error(`Refusing to restore run "${manifest.id}": ${edited.length} ${noun} changed since the run:\n` +
+      edited.map(file => `  ${file}`).join('\n'));
+  }
+
+  for (const file of manifest.files) {
+    await fs.writeFile(path.join(rootDir, file.path), file.original, 'utf8');
+  }
+  manifest.restoredAt = new Date().toISOString();
+  await writeManifest(backupDir, manifest);
+
+  console.log(`↩️  Restored ${manifest.files.length} file${manifest.files.length === 1 ? '' : 's'} from run ${manifest.id}`);
+  return manifest;
+}
+
+module.exports = { DEFAULT_BACKUP_DIR, createRunId, saveRun, readRun, listRuns, restoreRun };
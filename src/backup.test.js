@@ -0,0 +1,118 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createRunId, saveRun, listRuns, restoreRun } = require('./backup');
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn(),
+    mkdir: jest.fn(),
+    readdir: jest.fn(),
+  }
+}));
+
+describe('backup', () => {
+  const projectDir = path.resolve('/project');
+  const backupDir = path.join(projectDir, '.ng-i18n-extract');
+  const homePath = path.join(projectDir, 'src', 'home.component.html');
+  const aboutPath = path.join(projectDir, 'src', 'about.component.html');
+
+  let disk;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    disk = {
+      [homePath]: "<h1>{{ 'app.home.welcome' | translate }}</h1>",
+      [aboutPath]: "<p>{{ 'app.about.about_us' | translate }}</p>"
+    };
+    fs.readFile.mockImplementation(async (filePath) => {
+      if (disk[filePath] === undefined) {
+        throw Object.assign(new Error(`ENOENT: ${filePath}`), { code: 'ENOENT' });
+      }
+      return disk[filePath];
+    });
+    fs.writeFile.mockImplementation(async (filePath, content) => {
+      disk[filePath] = content;
+    });
+    fs.mkdir.mockResolvedValue();
+    fs.readdir.mockImplementation(async (dirPath) => {
+      const runs = Object.keys(disk)
+        .filter(filePath => filePath.startsWith(dirPath + path.sep))
+        .map(filePath => path.relative(dirPath, filePath).split(path.sep)[0]);
+      if (runs.length === 0) {
+        throw Object.assign(new Error(`ENOENT: ${dirPath}`), { code: 'ENOENT' });
+      }
+      return Array.from(new Set(runs));
+    });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  const recordRun = (date) => saveRun(backupDir, [
+    { filePath: homePath, original: '<h1>Welcome</h1>', modified: disk[homePath] },
+    { filePath: aboutPath, original: '<p>About us</p>', modified: disk[aboutPath] }
+  ], date);
+
+  it('should use the timestamp as a file-name-safe run id', () => {
+    expect(createRunId(new Date('2026-03-01T10:42:17.123Z'))).toBe('2026-03-01T10-42-17-123Z');
+  });
+
+  it('should store originals and checksums relative to the project root', async () => {
+    const manifest = await recordRun(new Date('2026-03-01T10:42:17.123Z'));
+
+    const manifestPath = path.join(backupDir, 'runs', '2026-03-01T10-42-17-123Z', 'manifest.json');
+    expect(JSON.parse(disk[manifestPath])).toEqual(manifest);
+    expect(manifest.files.map(file => file.path)).toEqual(['src/home.component.html', 'src/about.component.html']);
+    expect(manifest.files[0]).toEqual(expect.objectContaining({
+      original: '<h1>Welcome</h1>',
+      originalChecksum: expect.stringMatching(/^[0-9a-f]{40}$/),
+      checksum: expect.stringMatching(/^[0-9a-f]{40}$/)
+    }));
+  });
+
+  it('should restore the latest run and mark it as restored', async () => {
+    await recordRun(new Date('2026-03-01T10:00:00.000Z'));
+    disk[homePath] = "<h1>{{ 'app.home.welcome_back' | translate }}</h1>";
+    await saveRun(backupDir, [{ filePath: homePath, original: "<h1>{{ 'app.home.welcome' | translate }}</h1>", modified: disk[homePath] }],
+      new Date('2026-03-02T10:00:00.000Z'));
+
+    const restored = await restoreRun(backupDir);
+
+    expect(restored.id).toBe('2026-03-02T10-00-00-000Z');
+    expect(disk[homePath]).toBe("<h1>{{ 'app.home.welcome' | translate }}</h1>");
+    expect(console.log).toHaveBeenCalledWith('↩️  Restored 1 file from run 2026-03-02T10-00-00-000Z');
+
+    // The next restore goes one run further back
+    await restoreRun(backupDir);
+    expect(disk[homePath]).toBe('<h1>Welcome</h1>');
+    expect(disk[aboutPath]).toBe('<p>About us</p>');
+    expect((await listRuns(backupDir)).map(run => Boolean(run.restoredAt))).toEqual([true, true]);
+    await expect(restoreRun(backupDir)).rejects.toThrow(`No run to restore in ${backupDir}`);
+  });
+
+  it('should refuse to restore when a file was edited or deleted since the run', async () => {
+    const { id } = await recordRun(new Date('2026-03-01T10:00:00.000Z'));
+    disk[homePath] += '\n<p>Added by hand</p>';
+    delete disk[aboutPath];
+
+    await expect(restoreRun(backupDir, id)).rejects.toThrow(
+      `Refusing to restore run "${id}": 2 files were changed since the run:\n  src/home.component.html\n  src/about.component.html (deleted)`
+    );
+    expect(disk[homePath]).toContain('Added by hand');
+  });
+
+  it('should report unknown and already restored runs', async () => {
+    const { id } = await recordRun(new Date('2026-03-01T10:00:00.000Z'));
+
+    await expect(restoreRun(backupDir, 'nope')).rejects.toThrow(`Run "nope" not found in ${backupDir}`);
+    await restoreRun(backupDir, id);
+    await expect(restoreRun(backupDir, id)).rejects.toThrow(`Run "${id}" was already restored at`);
+  });
+
+  it('should list no runs when nothing was recorded', async () => {
+    await expect(listRuns(backupDir)).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { TextExtractor } = require('./extractor');
+
+const RULE_ID = 'untranslated-text';
+
+// Runs the extraction without replacing or saving anything and returns the untranslated occurrences
+async function findUntranslatedTexts(options) {
+  const extractor = new TextExtractor({ ...options, replace: false, merge: false, quiet: true });
+  await extractor.extractFromDirectory(options.srcPath);
+
+  return extractor.untranslatedTexts
+    .map(finding => ({ ...finding, file: extractor.toRelativePath(finding.file) }))
+    .sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+}
+
+function formatLocation(finding) {
+  if (!finding.line) {
+    return finding.file;
+  }
+  return finding.column ? `${finding.file}:${finding.line}:${finding.column}` : `${finding.file}:${finding.line}`;
+}
+
+function buildTextReport(findings) {
+  const lines = findings.map(finding => `${formatLocation(finding)}: untranslated text ${JSON.stringify(finding.text)}`);
+  lines.push(findings.length > 0
+    ? `Found ${findings.length} untranslated ${findings.length === 1 ? 'text' : 'texts'}`
+    : 'No untranslated text found');
+  return `${lines.join('\n')}\n`;
+}
+
+function buildJsonReport(findings) {
+  return `${JSON.stringify({
+    total: findings.length,
+    findings: findings.map(({ file, line, column, text, key }) => ({ file, line, column, text, key }))
+  }, null, 2)}\n`;
+}
+
+// SARIF 2.1.0, which code scanning tools show as annotations on the changed lines
+function buildSarifReport(findings) {
+  const results = findings.map(finding => {
+    const physicalLocation = { artifactLocation: { uri: finding.file, uriBaseId: '%SRCROOT%' } };
+    if (finding.line) {
+      physicalLocation.region = finding.column
+        ? { startLine: finding.line, startColumn: finding.column }
+        : { startLine: finding.line };
+    }
+    return {
+      ruleId: RULE_ID,
+      level: 'error',
+      message: { text: `Untranslated text ${JSON.stringify(finding.text)}` },
+      locations: [{ physicalLocation }]
+    };
+  });
+
+  return `${JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'ng-i18n-extract',
+          rules: [{
+            id: RULE_ID,
+            shortDescription: { text: 'User-facing text is not translated' },
+            help: { text: 'Run ng-i18n-extract extract --replace, or mark the text with i18n-ignore if it must stay as it is.' }
+          }]
+        }
+      },
+      results
+    }]
+  }, null, 2)}\n`;
+}
+
+const REPORT_BUILDERS = { text: buildTextReport, json: buildJsonReport, sarif: buildSarifReport };
+const REPORT_FORMATS = Object.keys(REPORT_BUILDERS);
+
+function buildReport(findings, format = 'text') {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown report format "${format}". Expected one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+  return REPORT_BUILDERS[format](findings);
+}
+
+// Returns the findings; the report goes to reportOutput when set, otherwise to stdout
+async function checkTexts(options) {
+  const format = options.reportFormat || 'text';
+  // Fail on a bad format before scanning the whole project
+  buildReport([], format);
+
+  const findings = await findUntranslatedTexts(options);
+  const report = buildReport(findings, format);
+
+  if (options.reportOutput) {
+    await fs.mkdir(path.dirname(options.reportOutput), { recursive: true });
+    await fs.writeFile(options.reportOutput, report, 'utf8');
+    console.log(`📝 Saved ${format} report with ${findings.length} findings to ${options.reportOutput}`);
+  } else {
+    process.stdout.write(report);
+  }
+
+  return findings;
+}
+
+module.exports = { REPORT_FORMATS, findUntranslatedTexts, buildReport, checkTexts };
@@ -0,0 +1,181 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { findUntranslatedTexts, buildReport, checkTexts } = require('./check');
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn(),
+    mkdir: jest.fn(),
+  }
+}));
+
+jest.mock('glob', () => ({
+  sync: jest.fn()
+}));
+
+const glob = require('glob');
+
+describe('check', () => {
+  const rootDir = path.resolve('/project');
+  const srcPath = path.join(rootDir, 'src');
+  const defaultFiles = {
+    'app/home/home.component.html': [
+      '<h1>Welcome home</h1>',
+      '<p>{{ \'app.home.intro\' | translate }}</p>',
+      '<input placeholder="Search products">',
+      '<p i18n-ignore>Acme Corp</p>'
+    ].join('\n'),
+    'app/home/home.component.ts': [
+      'export class HomeComponent {',
+      '  save() {',
+      '    this.toast.show(\'Changes saved successfully\');',
+      '  }',
+      '}'
+    ].join('\n')
+  };
+
+  let files;
+  let mockConsoleLog;
+  let mockStdout;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    files = { ...defaultFiles };
+    mockConsoleLog = jest.spyOn(console, 'log').mockImplementation();
+    mockStdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    glob.sync.mockReturnValue(Object.keys(files));
+    fs.readFile.mockImplementation(async (file) => files[path.relative(srcPath, file).split(path.sep).join('/')]);
+  });
+
+  afterEach(() => {
+    mockConsoleLog.mockRestore();
+    mockStdout.mockRestore();
+  });
+
+  describe('findUntranslatedTexts', () => {
+    it('should report hard-coded text with its file, line and column without changing any files', async () => {
+      const findings = await findUntranslatedTexts({ srcPath, rootDir, keyPrefix: 'app' });
+
+      expect(findings.map(({ file, line, column, text }) => ({ file, line, column, text }))).toEqual([
+        { file: 'src/app/home/home.component.html', line: 1, column: 1, text: 'Welcome home' },
+        { file: 'src/app/home/home.component.html', line: 3, column: 8, text: 'Search products' },
+        { file: 'src/app/home/home.component.ts', line: 3, column: 21, text: 'Changes saved successfully' }
+      ]);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      expect(mockConsoleLog).not.toHaveBeenCalled();
+    });
+
+    it('should not report text already marked for Angular i18n', async () => {
+      files['app/home/home.component.html'] = '<h1 i18n="@@home.title">Welcome home</h1>\n<h2>Latest news</h2>';
+      files['app/home/home.component.ts'] = 'export class HomeComponent {\n  title = $localize`:@@home.save:Save changes`;\n}';
+
+      const findings = await findUntranslatedTexts({ srcPath, rootDir, keyPrefix: 'app', framework: 'angular' });
+
+      expect(findings.map(finding => finding.text)).toEqual(['Latest news']);
+    });
+
+    it('should not report keys used with the ngx-translate directive', async () => {
+      files['app/home/home.component.html'] = [
+        '<span translate>app.home.directive_key</span>',
+        '<p [translate]="\'app.home.bound_key\'">app.home.bound_key</p>',
+        '<h2>Latest news</h2>'
+      ].join('\n');
+
+      const findings = await findUntranslatedTexts({ srcPath, rootDir, keyPrefix: 'app' });
+
+      expect(findings.map(finding => finding.text)).toEqual(['Latest news', 'Changes saved successfully']);
+    });
+  });
+
+  describe('buildReport', () => {
+    const findings = [
+      { file: 'src/app/home/home.component.html', line: 1, column: 1, text: 'Welcome home', key: 'app.home.welcome_home_3c9694' },
+      { file: 'src/app/home/home.component.ts', line: 3, column: 21, text: 'Say "hi"', key: 'app.home.say_hi_1a2b3c' }
+    ];
+
+    it('should build a plain text report', () => {
+      expect(buildReport(findings, 'text')).toBe([
+        'src/app/home/home.component.html:1:1: untranslated text "Welcome home"',
+        'src/app/home/home.component.ts:3:21: untranslated text "Say \\"hi\\""',
+        'Found 2 untranslated texts',
+        ''
+      ].join('\n'));
+      expect(buildReport([], 'text')).toBe('No untranslated text found\n');
+    });
+
+    it('should build a JSON report', () => {
+      const report = JSON.parse(buildReport(findings, 'json'));
+
+      expect(report.total).toBe(2);
+      expect(report.findings[0]).toEqual({
+        file: 'src/app/home/home.component.html',
+        line: 1,
+        column: 1,
+        text: 'Welcome home',
+        key: 'app.home.welcome_home_3c9694'
+      });
+    });
+
+    it('should build a SARIF report', () => {
+      const report = JSON.parse(buildReport(findings, 'sarif'));
+      const run = report.runs[0];
+
+      expect(report.version).toBe('2.1.0');
+      expect(run.tool.driver.name).toBe('ng-i18n-extract');
+      expect(run.tool.driver.rules[0].id).toBe('untranslated-text');
+      expect(run.results).toHaveLength(2);
+      expect(run.results[1]).toEqual({
+        ruleId: 'untranslated-text',
+        level: 'error',
+        message: { text: 'Untranslated text "Say \\"hi\\""' },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: 'src/app/home/home.component.ts', uriBaseId: '%SRCROOT%' },
+            region: { startLine: 3, startColumn: 21 }
+          }
+        }]
+      });
+    });
+
+    it('should reject unknown report formats', () => {
+      expect(() => buildReport(findings, 'xml')).toThrow('Unknown report format "xml". Expected one of: text, json, sarif');
+    });
+  });
+
+  describe('checkTexts', () => {
+    it('should print the report and return the findings', async () => {
+      files['app/home/home.component.html'] = '<h1>Welcome home</h1>';
+      files['app/home/home.component.ts'] = 'export class HomeComponent {}';
+
+      const findings = await checkTexts({ srcPath, rootDir, keyPrefix: 'app' });
+
+      expect(findings).toHaveLength(1);
+      expect(mockStdout).toHaveBeenCalledWith([
+        'src/app/home/home.component.html:1:1: untranslated text "Welcome home"',
+        'Found 1 untranslated text',
+        ''
+      ].join('\n'));
+    });
+
+    it('should write the report to a file', async () => {
+      files['app/home/home.component.html'] = '<h1>{{ \'app.home.title\' | translate }}</h1>';
+      files['app/home/home.component.ts'] = 'export class HomeComponent {}';
+      const reportOutput = path.resolve('/project/reports/i18n.sarif');
+
+      const findings = await checkTexts({ srcPath, rootDir, keyPrefix: 'app', reportFormat: 'sarif', reportOutput });
+
+      expect(findings).toEqual([]);
+      expect(fs.mkdir).toHaveBeenCalledWith(path.dirname(reportOutput), { recursive: true });
+      const [file, content] = fs.writeFile.mock.calls[0];
+      expect(file).toBe(reportOutput);
+      expect(JSON.parse(content).runs[0].results).toEqual([]);
+      expect(mockStdout).not.toHaveBeenCalled();
+    });
+
+    it('should fail on an unknown format before scanning', async () => {
+      await expect(checkTexts({ srcPath, rootDir, reportFormat: 'xml' })).rejects.toThrow('Unknown report format "xml"');
+      expect(glob.sync).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const CONFIG_FILE_NAMES = ['ng-i18n-extract.config.json', 'ng-i18n-extract.config.js'];
+
+// Options a config file may set; the names match the options of the extract, check, audit and restore commands
+const CONFIG_OPTIONS = [
+  'src',
+  'include',
+  'exclude',
+  'elements',
+  'attributes',
+  'output',
+  'format',
+  'jsonStructure',
+  'framework',
+  'translocoStyle',
+  'locale',
+  'locales',
+  'targetFill',
+  'pseudoLocale',
+  'pseudoExpansion',
+  'keyPrefix',
+  'keyStrategy',
+  'dedupe',
+  'commonThreshold',
+  'replace',
+  'merge',
+  'removeObsolete',
+  'references',
+  'workers',
+  'cache',
+  'backup',
+  'backupDir',
+  'reportFormat',
+  'reportOutput',
+  'translations'
+];
+const LIST_OPTIONS = ['include', 'exclude', 'elements', 'attributes', 'locales', 'translations'];
+// Relative paths are resolved against the directory of the config file, not the working directory
+const PATH_OPTIONS = ['src', 'output', 'reportOutput', 'translations', 'cache', 'backupDir'];
+
+// Nearest config file in startDir or one of its parents
+async function findConfigFile(startDir) {
+  let dir = path.resolve(startDir);
+
+  for (;;) {
+    for (const name of CONFIG_FILE_NAMES) {
+      const candidate = path.join(dir, name);
+      try {
+        await fs.access(candidate);
+        return candidate;
+      } catch (error) {
+        // Not here, keep looking
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+function normalizeConfig(config, configPath) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config file ${configPath} must contain an object`);
+  }
+
+  const configDir = path.dirname(configPath);
+  const options = {};
+
+  Object.entries(config).forEach(([name, value]) => {
+    if (!CONFIG_OPTIONS.includes(name)) {
+      throw new Error(`Unknown config option "${name}". Expected one of: ${CONFIG_OPTIONS.join(', ')}`);
+    }
+
+    if (LIST_OPTIONS.includes(name)) {
+      const list = typeof value === 'string' ? [value] : value;
+      if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+        throw new Error(`Config option "${name}" must be a string or an array of strings`);
+      }
+      options[name] = PATH_OPTIONS.includes(name) ? list.map(item => path.resolve(configDir, item)) : list;
+    } else if (PATH_OPTIONS.includes(name) && typeof value === 'string') {
+      // cache may also be true, for the default cache file
+      options[name] = path.resolve(configDir, value);
+    } else {
+      options[name] = value;
+    }
+  });
+
+  return options;
+}
+
+async function loadConfig(configPath) {
+  let config;
+  if (path.extname(configPath) === '.js') {
+    config = require(configPath);
+  } else {
+    const content = await fs.readFile(configPath, 'utf8');
+    try {
+      config = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in config file ${configPath}: ${error.message}`);
+    }
+  }
+
+  return { path: configPath, options: normalizeConfig(config, configPath) };
+}
+
+// CLI flags take precedence over the config file, which takes precedence over the built-in defaults.
+// isCommandLineOption(name) tells whether an option was passed explicitly.
+function mergeConfig(cliOptions, configOptions, isCommandLineOption) {
+  const merged = { ...cliOptions };
+  Object.entries(configOptions).forEach(([name, value]) => {
+    if (!isCommandLineOption(name)) {
+      merged[name] = value;
+    }
+  });
+  return merged;
+}
+
+module.exports = { CONFIG_FILE_NAMES, CONFIG_OPTIONS, findConfigFile, loadConfig, mergeConfig };
@@ -0,0 +1,131 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { findConfigFile, loadConfig, mergeConfig } = require('./config');
+
+jest.mock('fs', () => ({
+  promises: {
+    access: jest.fn(),
+    readFile: jest.fn(),
+    writeFile: jest.fn(),
+    mkdir: jest.fn(),
+  }
+}));
+
+describe('config', () => {
+  const projectDir = path.resolve('/project');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findConfigFile', () => {
+    it('should find the nearest config file in a parent directory', async () => {
+      const configPath = path.join(projectDir, 'ng-i18n-extract.config.js');
+      fs.access.mockImplementation(async (file) => {
+        if (file !== configPath) {
+          throw new Error('ENOENT');
+        }
+      });
+
+      await expect(findConfigFile(path.join(projectDir, 'src', 'app'))).resolves.toBe(configPath);
+    });
+
+    it('should prefer the JSON file and return null when there is none', async () => {
+      fs.access.mockResolvedValue();
+      await expect(findConfigFile(projectDir)).resolves.toBe(path.join(projectDir, 'ng-i18n-extract.config.json'));
+
+      fs.access.mockRejectedValue(new Error('ENOENT'));
+      await expect(findConfigFile(projectDir)).resolves.toBeNull();
+    });
+  });
+
+  describe('loadConfig', () => {
+    const configPath = path.join(projectDir, 'ng-i18n-extract.config.json');
+
+    it('should resolve paths against the config file and accept single globs', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({
+        src: './src',
+        output: 'i18n/{locale}.json',
+        include: 'app/**/*.html',
+        exclude: ['**/*.stories.ts', '**/fixtures/**'],
+        locales: ['en', 'de'],
+        keyPrefix: 'shop',
+        keyStrategy: 'hash',
+        format: 'xliff12'
+      }));
+
+      const config = await loadConfig(configPath);
+
+      expect(config.path).toBe(configPath);
+      expect(config.options).toEqual({
+        src: path.join(projectDir, 'src'),
+        output: path.join(projectDir, 'i18n', '{locale}.json'),
+        include: ['app/**/*.html'],
+        exclude: ['**/*.stories.ts', '**/fixtures/**'],
+        locales: ['en', 'de'],
+        keyPrefix: 'shop',
+        keyStrategy: 'hash',
+        format: 'xliff12'
+      });
+    });
+
+    it('should resolve translation file globs against the config file', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({ translations: ['i18n/*.json'], reportOutput: 'reports/audit.json' }));
+
+      const config = await loadConfig(configPath);
+
+      expect(config.options).toEqual({
+        translations: [path.join(projectDir, 'i18n', '*.json')],
+        reportOutput: path.join(projectDir, 'reports', 'audit.json')
+      });
+    });
+
+    it('should resolve a cache path but keep cache: true as is', async () => {
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({ workers: 4, cache: '.cache/extract.json' }));
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({ cache: true }));
+
+      expect((await loadConfig(configPath)).options).toEqual({ workers: 4, cache: path.join(projectDir, '.cache', 'extract.json') });
+      expect((await loadConfig(configPath)).options).toEqual({ cache: true });
+    });
+
+    it('should load JavaScript config files', async () => {
+      const jsConfigPath = path.join(projectDir, 'ng-i18n-extract.config.js');
+      jest.doMock(jsConfigPath, () => ({ keyPrefix: 'shop', locales: ['en', 'fr'] }), { virtual: true });
+
+      const config = await loadConfig(jsConfigPath);
+
+      expect(config.options).toEqual({ keyPrefix: 'shop', locales: ['en', 'fr'] });
+    });
+
+    it('should reject unknown options, invalid lists and invalid JSON', async () => {
+      fs.readFile.mockResolvedValueOnce('{ "keyPrefx": "shop" }');
+      await expect(loadConfig(configPath)).rejects.toThrow('Unknown config option "keyPrefx". Expected one of: src, include, exclude');
+
+      fs.readFile.mockResolvedValueOnce('{ "exclude": [42] }');
+      await expect(loadConfig(configPath)).rejects.toThrow('Config option "exclude" must be a string or an array of strings');
+
+      fs.readFile.mockResolvedValueOnce('{ keyPrefix: shop }');
+      await expect(loadConfig(configPath)).rejects.toThrow(`Invalid JSON in config file ${configPath}`);
+
+      fs.readFile.mockResolvedValueOnce('["shop"]');
+      await expect(loadConfig(configPath)).rejects.toThrow(`Config file ${configPath} must contain an object`);
+    });
+  });
+
+  describe('mergeConfig', () => {
+    it('should let options passed on the command line win over the config file', () => {
+      const cliOptions = { src: './src', keyPrefix: 'cli', locale: 'en', replace: false };
+      const configOptions = { src: '/project/web', keyPrefix: 'shop', replace: true, exclude: ['**/fixtures/**'] };
+
+      const merged = mergeConfig(cliOptions, configOptions, name => name === 'keyPrefix');
+
+      expect(merged).toEqual({
+        src: '/project/web',
+        keyPrefix: 'cli',
+        locale: 'en',
+        replace: true,
+        exclude: ['**/fixtures/**']
+      });
+    });
+  });
+});
@@ -0,0 +1,9 @@
+const { parentPort, workerData } = require('worker_threads');
+const { DeferredKeyExtractor } = require('./extractor');
+
+// Worker thread of the extraction pool: analyzes one source file per message
+const extractor = new DeferredKeyExtractor(workerData.options);
+
+parentPort.on('message', ({ id, payload }) => {
+  parentPort.postMessage({ id, result: extractor.analyze(payload.filePath, payload.content) });
+});
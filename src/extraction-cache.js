@@ -0,0 +1,74 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_FILE = '.ng-i18n-extract-cache.json';
+const CACHE_VERSION = 1;
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+// Analysis results of source files, keyed by path and content hash. The fingerprint covers the
+// options that change how a file is analyzed; a cache written with other options is discarded.
+class ExtractionCache {
+  constructor(filePath, fingerprint) {
+    this.filePath = filePath;
+    this.fingerprint = hashContent(JSON.stringify(fingerprint));
+    this.entries = new Map();
+    // Files looked up or stored by this run; entries of files that no longer exist are dropped on save
+    this.used = new Set();
+    this.hits = 0;
+  }
+
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    try {
+      const parsed = JSON.parse(content);
+      if (parsed.version === CACHE_VERSION && parsed.fingerprint === this.fingerprint) {
+        this.entries = new Map(Object.entries(parsed.files || {}));
+      }
+    } catch (error) {
+      // A damaged cache only costs a full extraction
+      console.warn(`Warning: Ignoring unreadable cache file ${this.filePath}:`, error.message);
+    }
+  }
+
+  get(file, hash) {
+    this.used.add(file);
+    const entry = this.entries.get(file);
+    if (!entry || entry.hash !== hash) {
+      return null;
+    }
+    this.hits++;
+    return entry.analysis;
+  }
+
+  set(file, hash, analysis) {
+    this.used.add(file);
+    this.entries.set(file, { hash, analysis });
+  }
+
+  async save() {
+    const files = {};
+    Array.from(this.used).sort().forEach(file => {
+      if (this.entries.has(file)) {
+        files[file] = this.entries.get(file);
+      }
+    });
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify({ version: CACHE_VERSION, fingerprint: this.fingerprint, files }), 'utf8');
+  }
+}
+
+module.exports = { DEFAULT_CACHE_FILE, hashContent, ExtractionCache };
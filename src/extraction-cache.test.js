@@ -0,0 +1,77 @@
+const fs = require('fs').promises;
+const { ExtractionCache, hashContent } = require('./extraction-cache');
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn(),
+    mkdir: jest.fn(),
+  }
+}));
+
+describe('ExtractionCache', () => {
+  const cachePath = '/project/.ng-i18n-extract-cache.json';
+  const analysis = { events: [], messages: [], modified: null };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.writeFile.mockResolvedValue();
+    fs.mkdir.mockResolvedValue();
+  });
+
+  const savedCache = async (fingerprint, entries) => {
+    const cache = new ExtractionCache(cachePath, fingerprint);
+    fs.readFile.mockRejectedValueOnce(Object.assign(new Error('ENOENT'), { code: 'ENOENT' }));
+    await cache.load();
+    Object.entries(entries).forEach(([file, content]) => cache.set(file, hashContent(content), analysis));
+    await cache.save();
+    return fs.writeFile.mock.calls[fs.writeFile.mock.calls.length - 1][1];
+  };
+
+  it('should return entries only for unchanged content', async () => {
+    const saved = await savedCache({ framework: 'ngx-translate' }, { 'a.html': '<p>A</p>' });
+    const cache = new ExtractionCache(cachePath, { framework: 'ngx-translate' });
+    fs.readFile.mockResolvedValueOnce(saved);
+
+    await cache.load();
+
+    expect(cache.get('a.html', hashContent('<p>A</p>'))).toEqual(analysis);
+    expect(cache.get('a.html', hashContent('<p>B</p>'))).toBeNull();
+    expect(cache.hits).toBe(1);
+  });
+
+  it('should start empty when the fingerprint differs', async () => {
+    const saved = await savedCache({ framework: 'ngx-translate' }, { 'a.html': '<p>A</p>' });
+    const cache = new ExtractionCache(cachePath, { framework: 'transloco' });
+    fs.readFile.mockResolvedValueOnce(saved);
+
+    await cache.load();
+
+    expect(cache.get('a.html', hashContent('<p>A</p>'))).toBeNull();
+  });
+
+  it('should ignore an unreadable cache file', async () => {
+    jest.spyOn(console, 'warn').mockImplementation();
+    const cache = new ExtractionCache(cachePath, {});
+    fs.readFile.mockResolvedValueOnce('{ not json');
+
+    await cache.load();
+
+    expect(cache.entries.size).toBe(0);
+    expect(console.warn).toHaveBeenCalledWith(`Warning: Ignoring unreadable cache file ${cachePath}:`, expect.any(String));
+    console.warn.mockRestore();
+  });
+
+  it('should drop entries of files that were not used in this run', async () => {
+    const saved = await savedCache({}, { 'a.html': '<p>A</p>', 'b.html': '<p>B</p>' });
+    const cache = new ExtractionCache(cachePath, {});
+    fs.readFile.mockResolvedValueOnce(saved);
+    await cache.load();
+
+    cache.get('b.html', hashContent('<p>B</p>'));
+    await cache.save();
+
+    const { files } = JSON.parse(fs.writeFile.mock.calls[fs.writeFile.mock.calls.length - 1][1]);
+    expect(Object.keys(files)).toEqual(['b.html']);
+  });
+});
@@ -1,14 +1,189 @@
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const glob = require('glob');
 const cheerio = require('cheerio');
+const babelParser = require('@babel/parser');
+const { buildXliff, parseXliff, escapeXml } = require('./xliff');
+const { buildPot, buildPo, parsePo } = require('./gettext');
+const { parseI18nMetadata, buildI18nMetadata, buildMessageMarkup, buildAttributeMarkup, buildLocalizeCall, parseLocalizeText } = require('./angular-i18n');
+const { createFilePatch } = require('./patch');
+const { JSON_STRUCTURES, flattenTranslations, formatTranslations } = require('./nested-json');
+const { WorkerPool } = require('./worker-pool');
+const { ExtractionCache, hashContent } = require('./extraction-cache');
+const { DEFAULT_BACKUP_DIR, saveRun } = require('./backup');
+const { DEFAULT_PSEUDO_EXPANSION, pseudoLocalize } = require('./pseudo');
+const { version } = require('../package.json');
+
+const KEY_STRATEGIES = ['hash', 'counter'];
+const TARGET_FILL_MODES = ['empty', 'source'];
+const OUTPUT_FORMATS = ['json', 'xliff12', 'xliff20', 'po'];
+const XLIFF_FORMAT_VERSIONS = { xliff12: '1.2', xliff20: '2.0' };
+const FRAMEWORKS = ['ngx-translate', 'angular', 'transloco'];
+const TRANSLOCO_STYLES = ['pipe', 'directive'];
+const DEDUPE_SCOPES = ['none', 'component', 'global'];
+const REFERENCE_MODES = ['inline', 'sidecar', 'none'];
+
+// Elements whose text is extracted (ordered by specificity) and attributes that hold display text.
+// The elements and attributes options add to these lists; a name prefixed with ! removes it.
+const DEFAULT_CONTENT_ELEMENTS = ['button', 'a', 'label', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'li', 'td', 'th', 'span', 'strong', 'em', 'b', 'i'];
+const DEFAULT_TRANSLATABLE_ATTRIBUTES = ['title', 'alt', 'placeholder', 'aria-label'];
+
+// Top-level fields of the JSON catalogs written by the extractor
+const WRAPPER_FIELDS = ['locale', 'translations', 'metadata', 'references'];
+
+// Source files scanned when no include globs are configured; tests and declarations are always skipped
+const DEFAULT_INCLUDE = ['**/*.html', '**/*.ts'];
+const ALWAYS_EXCLUDED = ['**/*.spec.ts', '**/*.d.ts', '**/node_modules/**'];
+
+// Runtime service injected by TypeScript rewrites, per framework, and what standalone components import
+// for rewritten inline templates (the first name is added, any of them already provides the pipe)
+const TRANSLATION_SERVICES = {
+  'ngx-translate': {
+    className: 'TranslateService', module: '@ngx-translate/core', name: 'translate', instant: 'instant', observable: 'get',
+    templateImports: ['TranslateModule', 'TranslatePipe']
+  },
+  transloco: {
+    className: 'TranslocoService', module: '@jsverse/transloco', name: 'transloco', instant: 'translate', observable: 'selectTranslate',
+    templateImports: ['TranslocoModule', 'TranslocoPipe', 'TranslocoDirective']
+  }
+};
+
+// AST properties that never contain child nodes worth visiting
+const SKIPPED_AST_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+// Only classes and functions Angular's injector creates or calls can receive the translation service
+const INJECTABLE_CLASS_DECORATORS = ['Component', 'Injectable', 'Directive', 'Pipe'];
+const INJECTION_CONTEXT_FUNCTION_TYPES = ['CanActivateFn', 'CanActivateChildFn', 'CanDeactivateFn', 'CanMatchFn', 'ResolveFn', 'HttpInterceptorFn'];
+
+const CLASS_MEMBER_TYPES = ['ClassProperty', 'ClassPrivateProperty', 'ClassAccessorProperty', 'ClassMethod', 'ClassPrivateMethod'];
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ObjectMethod'];
+
+function walkAst(node, visit, ancestors = []) {
+  if (!node || typeof node.type !== 'string') {
+    return;
+  }
+
+  visit(node, ancestors);
+
+  const nextAncestors = [node, ...ancestors];
+  Object.keys(node).forEach(key => {
+    if (SKIPPED_AST_KEYS.has(key)) {
+      return;
+    }
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => walkAst(item, visit, nextAncestors));
+    } else if (child && typeof child.type === 'string') {
+      walkAst(child, visit, nextAncestors);
+    }
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Files written by the extractor: { locale, translations, metadata, references }
+function isWrappedCatalog(parsed) {
+  return isPlainObject(parsed) && isPlainObject(parsed.translations) &&
+    Object.keys(parsed).every(name => WRAPPER_FIELDS.includes(name));
+}
+
+// Defaults followed by the configured names; HTML names are compared case-insensitively
+function mergeNames(defaults, extra = []) {
+  const removed = new Set((extra || []).filter(name => name.startsWith('!')).map(name => name.slice(1).toLowerCase()));
+  const seen = new Set();
+  return [...defaults, ...(extra || [])].filter(name => {
+    const lowerCaseName = name.toLowerCase();
+    if (name.startsWith('!') || removed.has(lowerCaseName) || seen.has(lowerCaseName)) {
+      return false;
+    }
+    seen.add(lowerCaseName);
+    return true;
+  });
+}
 
 class TextExtractor {
   constructor(options) {
     this.options = options;
+    this.keyStrategy = options.keyStrategy || 'hash';
+    if (!KEY_STRATEGIES.includes(this.keyStrategy)) {
+      throw new Error(`Unknown key strategy "${this.keyStrategy}". Expected one of: ${KEY_STRATEGIES.join(', ')}`);
+    }
+    if (options.targetFill && !TARGET_FILL_MODES.includes(options.targetFill)) {
+      throw new Error(`Unknown target fill mode "${options.targetFill}". Expected one of: ${TARGET_FILL_MODES.join(', ')}`);
+    }
+    this.framework = options.framework || 'ngx-translate';
+    if (!FRAMEWORKS.includes(this.framework)) {
+      throw new Error(`Unknown framework "${this.framework}". Expected one of: ${FRAMEWORKS.join(', ')}`);
+    }
+    this.format = options.format || (this.framework === 'angular' ? 'xliff12' : 'json');
+    if (!OUTPUT_FORMATS.includes(this.format)) {
+      throw new Error(`Unknown output format "${this.format}". Expected one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (this.framework === 'angular' && this.format !== 'xliff12') {
+      throw new Error(`The angular framework writes messages.xlf (XLIFF 1.2); format "${this.format}" is not supported`);
+    }
+    if (this.framework === 'transloco' && this.format !== 'json') {
+      throw new Error(`The transloco framework writes JSON scope files; format "${this.format}" is not supported`);
+    }
+    this.translocoStyle = options.translocoStyle || 'pipe';
+    if (!TRANSLOCO_STYLES.includes(this.translocoStyle)) {
+      throw new Error(`Unknown Transloco style "${this.translocoStyle}". Expected one of: ${TRANSLOCO_STYLES.join(', ')}`);
+    }
+    this.dedupe = options.dedupe || 'none';
+    if (!DEDUPE_SCOPES.includes(this.dedupe)) {
+      throw new Error(`Unknown dedupe scope "${this.dedupe}". Expected one of: ${DEDUPE_SCOPES.join(', ')}`);
+    }
+    this.commonThreshold = options.commonThreshold === undefined ? 2 : options.commonThreshold;
+    if (!Number.isInteger(this.commonThreshold) || this.commonThreshold < 1) {
+      throw new Error(`Invalid common threshold "${options.commonThreshold}". Expected a whole number of at least 1`);
+    }
+    this.jsonStructure = options.jsonStructure || 'flat';
+    if (!JSON_STRUCTURES.includes(this.jsonStructure)) {
+      throw new Error(`Unknown JSON structure "${this.jsonStructure}". Expected one of: ${JSON_STRUCTURES.join(', ')}`);
+    }
+    this.references = options.references || 'inline';
+    if (!REFERENCE_MODES.includes(this.references)) {
+      throw new Error(`Unknown references mode "${this.references}". Expected one of: ${REFERENCE_MODES.join(', ')}`);
+    }
+    this.workers = options.workers === undefined ? 1 : options.workers;
+    if (!Number.isInteger(this.workers) || this.workers < 1) {
+      throw new Error(`Invalid worker count "${options.workers}". Expected a whole number of at least 1`);
+    }
+    this.pseudoExpansion = options.pseudoExpansion === undefined ? DEFAULT_PSEUDO_EXPANSION : options.pseudoExpansion;
+    if (typeof this.pseudoExpansion !== 'number' || !(this.pseudoExpansion >= 0)) {
+      throw new Error(`Invalid pseudo expansion "${options.pseudoExpansion}". Expected a percentage of at least 0`);
+    }
+    if (options.pseudoLocale && [options.locale, ...(options.locales || [])].includes(options.pseudoLocale)) {
+      throw new Error(`The pseudo locale "${options.pseudoLocale}" must differ from the source and target locales`);
+    }
+    this.service = TRANSLATION_SERVICES[this.framework];
+    this.contentElements = mergeNames(DEFAULT_CONTENT_ELEMENTS, options.elements);
+    this.translatableAttributes = mergeNames(DEFAULT_TRANSLATABLE_ATTRIBUTES, options.attributes);
     this.extractedTexts = new Map();
+    this.textSources = new Map();
+    // Merge: existing keys found in the source as translate pipes and service calls
+    this.referencedKeys = new Set();
+    // Keys extracted from each file, so watch mode can drop the entries of a changed or deleted file
+    this.fileKeys = new Map();
+    // Angular mode: XLIFF markup, meaning and description of each template message
+    this.i18nMessages = new Map();
+    // Dry run: source rewrites that would have been written
+    this.pendingChanges = [];
+    // Source files rewritten by --replace, which watch mode must not mistake for edits
+    this.rewrittenFiles = new Set();
+    // Original content of the files rewritten since the last backup run was saved
+    this.backups = new Map();
     this.keyCounter = 1;
     this.currentComponentContext = null;
+    // Occurrences of text that is not marked for translation yet, for the check command
+    this.untranslatedTexts = [];
+    // Dedupe: key handed out per namespace and normalized text, and the components using each text
+    this.sharedKeys = new Map();
+    this.textComponents = new Map();
+    this.commonTexts = new Set();
   }
 
   extractComponentName(filePath) {
@@ -52,6 +227,11 @@ class TextExtractor {
     this.currentComponentContext = this.extractComponentName(filePath);
   }
 
+  normalizeText(text) {
+    // Mixed-content values are stored with their markup; keys are derived from the text alone
+    return text.replace(/<[^>]*>/g, '').trim().replace(/\s+/g, ' ');
+  }
+
   generateKey(text, filePath = null) {
     const cleanText = text.trim().toLowerCase()
       .replace(/[^a-zA-Z0-9\s]/g, '')
@@ -59,10 +239,381 @@ class TextExtractor {
       .substring(0, 25); // Reduced to make room for component name
     
     // Use provided filePath or current context
-    const componentContext = filePath ? this.extractComponentName(filePath) : this.currentComponentContext;
+    const fileContext = filePath ? this.extractComponentName(filePath) : this.currentComponentContext;
+    const normalizedText = this.normalizeText(text);
+    if (!this.textComponents.has(normalizedText)) {
+      this.textComponents.set(normalizedText, new Set());
+    }
+    this.textComponents.get(normalizedText).add(fileContext || '');
+
+    // Global dedupe: text used by enough components moves to the common namespace
+    const componentContext = this.commonTexts.has(normalizedText) ? 'common' : fileContext;
     const contextPart = componentContext ? `${componentContext}.` : '';
+    // Transloco: the component context is the scope, so keys carry no global prefix
+    const namespace = this.framework === 'transloco' ? contextPart : `${this.options.keyPrefix}.${contextPart}`;
+
+    if (this.dedupe === 'none') {
+      return this.createKey(text, cleanText, componentContext, namespace);
+    }
+
+    const sharedKeyIndex = `${namespace}\u0000${normalizedText}`;
+    if (!this.sharedKeys.has(sharedKeyIndex)) {
+      this.sharedKeys.set(sharedKeyIndex, this.createKey(text, cleanText, componentContext, namespace));
+    }
+    return this.sharedKeys.get(sharedKeyIndex);
+  }
+
+  createKey(text, cleanText, componentContext, namespace) {
+    // In merge mode, unchanged text keeps the key it already has in the output file
+    const existingKey = this.findExistingKey(text, namespace);
+    if (existingKey) {
+      return existingKey;
+    }
     
-    return `${this.options.keyPrefix}.${contextPart}${cleanText}_${this.keyCounter++}`;
+    if (this.keyStrategy === 'counter') {
+      let counterKey;
+      do {
+        counterKey = `${namespace}${cleanText}_${this.keyCounter++}`;
+      } while (this.isKeyTaken(counterKey, text));
+      return counterKey;
+    }
+
+    // Same text in the same component always hashes to the same key, regardless of file order
+    const hash = crypto.createHash('sha1')
+      .update(`${componentContext || ''}\u0000${this.normalizeText(text)}`)
+      .digest('hex')
+      .substring(0, 6);
+    const slug = cleanText.replace(/_+$/, '') || 'text';
+    const baseKey = `${namespace}${slug}_${hash}`;
+
+    // Repeated occurrences (or a real hash collision) get a numeric suffix
+    let key = baseKey;
+    for (let suffix = 2; this.isKeyTaken(key, text); suffix++) {
+      key = `${baseKey}_${suffix}`;
+    }
+    return key;
+  }
+
+  isKeyTaken(key, text) {
+    if (this.extractedTexts.has(key)) {
+      return true;
+    }
+
+    // A key from the existing file may only be reused for the text it already holds
+    return !!this.existingTranslations && this.existingTranslations.has(key) &&
+           this.normalizeText(this.existingTranslations.get(key)) !== this.normalizeText(text);
+  }
+
+  findExistingKey(text, namespace) {
+    if (!this.existingKeyIndex) {
+      return null;
+    }
+
+    const candidates = this.existingKeyIndex.get(`${namespace}\u0000${this.normalizeText(text)}`) || [];
+    return candidates.find(key => !this.extractedTexts.has(key)) || null;
+  }
+
+  async readTranslationFile(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    let parsed;
+    let translations;
+    try {
+      parsed = JSON.parse(content);
+      // Plain ngx-translate files, flat or nested, hold the translations at the top level
+      translations = isWrappedCatalog(parsed) ? flattenTranslations(parsed.translations) : flattenTranslations(parsed);
+    } catch (error) {
+      throw new Error(`Could not parse existing translations in ${filePath}: ${error.message}`);
+    }
+
+    // Anything else would be overwritten as if it held no translations at all
+    if (!isWrappedCatalog(parsed) && (!isPlainObject(parsed) || Object.values(translations).some(value => typeof value !== 'string'))) {
+      throw new Error(`Unrecognized translation file ${filePath}: expected { "locale", "translations" } or an object of translation strings`);
+    }
+
+    return {
+      translations,
+      metadata: isWrappedCatalog(parsed) ? parsed.metadata || {} : {}
+    };
+  }
+
+  async readCatalog(filePath) {
+    if (this.format === 'json') {
+      return this.readTranslationFile(filePath);
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    if (this.format === 'po') {
+      return this.readGettextCatalog(content, path.extname(filePath) === '.pot');
+    }
+
+    const document = parseXliff(content, { markup: this.framework === 'angular' });
+    const translations = {};
+    const sourceTexts = {};
+    const needsTranslation = [];
+    document.units.forEach(unit => {
+      // Source locale files have no <target>; their translations are the source texts
+      translations[unit.id] = unit.target !== null ? unit.target : unit.source;
+      sourceTexts[unit.id] = unit.source;
+      if (unit.needsTranslation) {
+        needsTranslation.push(unit.id);
+      }
+    });
+
+    return { translations, sourceTexts, metadata: { needsTranslation } };
+  }
+
+  getTranslocoScopePath(rootDir, scope, locale) {
+    return path.join(rootDir, scope, `${locale}.json`);
+  }
+
+  splitScopedKey(key) {
+    // home.welcome_1a2b3c lives in <root>/home/<locale>.json as welcome_1a2b3c
+    const separator = key.indexOf('.');
+    return separator >= 0
+      ? { scope: key.substring(0, separator), localKey: key.substring(separator + 1) }
+      : { scope: '', localKey: key };
+  }
+
+  async readTranslocoScopes(rootDir, locale) {
+    const files = glob.sync([`${locale}.json`, `*/${locale}.json`], { cwd: rootDir }).sort();
+    if (files.length === 0) {
+      return null;
+    }
+
+    const translations = {};
+    const scopes = [];
+    for (const file of files) {
+      const filePath = path.join(rootDir, file);
+      const scope = path.dirname(file) === '.' ? '' : path.dirname(file);
+      let parsed;
+      try {
+        parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not parse existing translations in ${filePath}: ${error.message}`);
+      }
+
+      scopes.push(scope);
+      Object.entries(flattenTranslations(parsed)).forEach(([localKey, value]) => {
+        translations[scope ? `${scope}.${localKey}` : localKey] = value;
+      });
+    }
+
+    // Transloco files are plain key/value objects with no room for sync metadata
+    return { translations, scopes, metadata: {} };
+  }
+
+  async writeTranslocoScopes(rootDir, locale, translations, scopes = []) {
+    // Scopes that lost all their keys are written empty rather than left stale
+    const files = new Map(scopes.map(scope => [scope, {}]));
+    Object.keys(translations).forEach(key => {
+      const { scope, localKey } = this.splitScopedKey(key);
+      if (!files.has(scope)) {
+        files.set(scope, {});
+      }
+      files.get(scope)[localKey] = translations[key];
+    });
+
+    for (const [scope, scopeTranslations] of files) {
+      const filePath = this.getTranslocoScopePath(rootDir, scope, locale);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(formatTranslations(scopeTranslations, this.jsonStructure), null, 2), 'utf8');
+    }
+
+    return files.size;
+  }
+
+  async saveTranslocoScopes(rootDir) {
+    const { translations } = this.buildSourceCatalog();
+    const fileCount = await this.writeTranslocoScopes(rootDir, this.options.locale, translations, this.existingScopes);
+    console.log(`💾 Saved ${Object.keys(translations).length} translations to ${fileCount} Transloco scope files in ${rootDir}`);
+
+    return translations;
+  }
+
+  readGettextCatalog(content, isTemplate) {
+    const translations = {};
+    const sourceTexts = {};
+    const contexts = {};
+    const needsTranslation = [];
+
+    parsePo(content).entries.forEach(entry => {
+      entry.keys.forEach(key => {
+        // Templates (.pot) have empty msgstr; their translations are the source texts
+        translations[key] = isTemplate ? entry.msgid : entry.msgstr;
+        sourceTexts[key] = entry.msgid;
+        contexts[key] = entry.context || '';
+        if (!isTemplate && (entry.msgstr === '' || entry.flags.includes('fuzzy'))) {
+          needsTranslation.push(key);
+        }
+      });
+    });
+
+    return { translations, sourceTexts, contexts, metadata: { needsTranslation } };
+  }
+
+  async loadExistingTranslations(outputPath) {
+    const existing = this.framework === 'transloco'
+      ? await this.readTranslocoScopes(outputPath, this.options.locale)
+      : await this.readCatalog(outputPath);
+    const translations = existing ? existing.translations : {};
+    this.existingScopes = existing && existing.scopes ? existing.scopes : [];
+
+    this.existingTranslations = new Map(Object.entries(translations));
+    this.existingKeyIndex = new Map();
+    this.existingTranslations.forEach((value, key) => {
+      const namespace = key.substring(0, key.lastIndexOf('.') + 1);
+      const indexKey = `${namespace}\u0000${this.normalizeText(value)}`;
+      if (!this.existingKeyIndex.has(indexKey)) {
+        this.existingKeyIndex.set(indexKey, []);
+      }
+      this.existingKeyIndex.get(indexKey).push(key);
+    });
+
+    return this.existingTranslations;
+  }
+
+  // location: line, column and, for templates, the element and attribute the text came from.
+  // translated: the text is already marked for translation (i18n attribute, $localize)
+  recordText(key, value, filePath, location = {}, translated = false) {
+    this.extractedTexts.set(key, value);
+    if (!this.textSources.has(key)) {
+      this.textSources.set(key, []);
+    }
+    const source = {
+      file: filePath,
+      line: location.line || null,
+      column: location.column || null,
+      element: location.element || null,
+      attribute: location.attribute || null
+    };
+    this.textSources.get(key).push(source);
+    if (!this.fileKeys.has(filePath)) {
+      this.fileKeys.set(filePath, new Set());
+    }
+    this.fileKeys.get(filePath).add(key);
+    if (!translated) {
+      this.untranslatedTexts.push({ key, text: value, ...source });
+    }
+  }
+
+  // Keys only used in this file are removed; shared keys keep their other sources
+  removeFileEntries(filePath) {
+    (this.fileKeys.get(filePath) || []).forEach(key => {
+      const sources = (this.textSources.get(key) || []).filter(source => source.file !== filePath);
+      if (sources.length > 0) {
+        this.textSources.set(key, sources);
+        return;
+      }
+      this.textSources.delete(key);
+      this.extractedTexts.delete(key);
+      this.i18nMessages.delete(key);
+    });
+    this.fileKeys.delete(filePath);
+    this.untranslatedTexts = this.untranslatedTexts.filter(text => text.file !== filePath);
+  }
+
+  getHtmlLocation(element, attribute = null) {
+    const location = element.sourceCodeLocation;
+    if (!location) {
+      return {};
+    }
+
+    // parse5 reports attribute names in lower case; [name] is a property binding
+    const attributeLocations = location.attrs || {};
+    const attributeLocation = attribute
+      ? attributeLocations[attribute.toLowerCase()] || attributeLocations[`[${attribute.toLowerCase()}]`]
+      : null;
+    const target = attributeLocation || location;
+    if (!this.templateOrigin) {
+      return { line: target.startLine, column: target.startCol };
+    }
+
+    // Inline templates: positions are relative to the start of the template literal
+    return {
+      line: this.templateOrigin.line + target.startLine - 1,
+      column: target.startLine === 1 ? this.templateOrigin.column + target.startCol - 1 : target.startCol
+    };
+  }
+
+  toRelativePath(filePath) {
+    return path.relative(this.options.rootDir || process.cwd(), filePath).split(path.sep).join('/');
+  }
+
+  getSourceFiles(key) {
+    const files = (this.textSources.get(key) || []).map(source => this.toRelativePath(source.file));
+    return Array.from(new Set(files)).sort();
+  }
+
+  getSourceReferences(key) {
+    const references = (this.textSources.get(key) || []).map(source => {
+      const file = this.toRelativePath(source.file);
+      return source.line ? `${file}:${source.line}` : file;
+    });
+    return Array.from(new Set(references)).sort();
+  }
+
+  // Every place a key was extracted from, for the references section and sidecar file
+  getReferenceEntries(key) {
+    const entries = new Map();
+    (this.textSources.get(key) || []).forEach(source => {
+      const entry = { file: this.toRelativePath(source.file), line: source.line, column: source.column };
+      if (source.element) {
+        entry.element = source.element;
+      }
+      if (source.attribute) {
+        entry.attribute = source.attribute;
+      }
+      entries.set(JSON.stringify(entry), entry);
+    });
+    return Array.from(entries.values()).sort((a, b) =>
+      a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0)
+    );
+  }
+
+  buildReferences(keys) {
+    const references = {};
+    keys.slice().sort().forEach(key => {
+      const entries = this.getReferenceEntries(key);
+      if (entries.length > 0) {
+        references[key] = entries;
+      }
+    });
+    return references;
+  }
+
+  // i18n/en.json -> i18n/en.references.json; the Transloco root directory gets references.json
+  getReferencesPath(catalogPath) {
+    const extension = path.extname(catalogPath);
+    if (!extension) {
+      return path.join(catalogPath, 'references.json');
+    }
+    return `${catalogPath.substring(0, catalogPath.length - extension.length)}.references.json`;
+  }
+
+  async saveReferences(catalogPath, keys) {
+    const referencesPath = this.getReferencesPath(catalogPath);
+    const references = this.buildReferences(keys);
+    await fs.mkdir(path.dirname(referencesPath), { recursive: true });
+    await fs.writeFile(referencesPath, JSON.stringify({ references }, null, 2), 'utf8');
+    console.log(`📍 Saved references for ${Object.keys(references).length} keys to ${referencesPath}`);
   }
 
   async extractFromHtmlTemplate(filePath) {
@@ -71,221 +622,520 @@ class TextExtractor {
       this.setComponentContext(filePath);
       
       const content = await fs.readFile(filePath, 'utf8');
-      // Use cheerio only for parsing and finding elements, not for final output
-      const $ = cheerio.load(content, {
-        xmlMode: false,
-        decodeEntities: false,
-        lowerCaseAttributeNames: false,
-        lowerCaseTags: false,
-        recognizeSelfClosing: true
-      });
-      
-      // Store text replacements to apply to original content
-      const textReplacements = [];
-      const attributeReplacements = [];
-      const processedElements = new Set();
+      const modifiedContent = this.extractFromTemplate(content, filePath);
+      if (modifiedContent !== content) {
+        await this.writeSourceFile(filePath, content, modifiedContent);
+      }
 
-      // Define elements that typically contain translatable content (ordered by specificity)
-      const contentElements = ['button', 'a', 'label', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'li', 'td', 'th', 'span', 'strong', 'em', 'b', 'i'];
-      
-      // Process elements that might contain mixed content (text + HTML)
-      // Process in order of specificity to avoid parent elements interfering
-      contentElements.forEach(tagName => {
-        $(tagName).each((index, domElement) => {
-          const $el = $(domElement);
-          
-          // Skip if this element is nested inside another content element we've already processed
-          if (processedElements.has(domElement)) {
+    } catch (error) {
+      console.warn(`Warning: Could not process HTML template ${filePath}:`, error.message);
+    }
+  }
+
+  // Extracts an HTML template and returns it with the replacements applied.
+  // origin is where the template starts in its file ({ line, column }, both 1-based) for inline templates.
+  extractFromTemplate(content, filePath, origin = null) {
+    this.templateOrigin = origin;
+    // Use cheerio only for parsing and finding elements, not for final output
+    const $ = cheerio.load(content, {
+      xmlMode: false,
+      decodeEntities: false,
+      lowerCaseAttributeNames: false,
+      lowerCaseTags: false,
+      recognizeSelfClosing: true,
+      sourceCodeLocationInfo: true
+    });
+    
+    // Occurrences found in the template; keys and edits are created once overlaps are resolved
+    const occurrences = [];
+    const processedElements = new Set();
+    const ignoredRanges = this.findIgnoredRanges(content);
+
+    // Process elements that might contain mixed content (text + HTML)
+    // Process in order of specificity to avoid parent elements interfering.
+    // Angular i18n sections cannot be nested, so there the outermost element wins (document order).
+    const contentElements = this.contentElements;
+    const selectors = this.framework === 'angular' ? [contentElements.join(', ')] : contentElements;
+    selectors.forEach(selector => {
+      $(selector).each((index, domElement) => {
+        const $el = $(domElement);
+        const tagName = domElement.name;
+        
+        // Skip if this element is nested inside another content element we've already processed
+        if (processedElements.has(domElement)) {
+          return;
+        }
+
+        if (this.isIgnoredElement(domElement, ignoredRanges)) {
+          return;
+        }
+
+        // Already part of a hand-written Angular i18n section
+        if (this.framework === 'angular' && $el.parents('[i18n]').length > 0) {
+          return;
+        }
+
+        // The content of the ngx-translate directive is a key, not display text
+        const attribs = domElement.attribs || {};
+        if (attribs.translate !== undefined || attribs['[translate]'] !== undefined) {
+          return;
+        }
+        
+        // Skip container elements that are too generic unless they have no content children
+        if (['div', 'span'].includes(tagName)) {
+          const hasContentChildren = $el.find('p, li, h1, h2, h3, h4, h5, h6, button, label, a').length > 0;
+          if (hasContentChildren) {
             return;
           }
+        }
+        
+        // Check if element contains any text content
+        const fullText = $el.text().trim();
+        if (!fullText || this.isExcluded(fullText)) {
+          return;
+        }
+        
+        // Skip if this looks like already-translated content
+        if (this.isTranslatedText(fullText)) {
+          return;
+        }
+        
+        // Interpolations are only parameterized in plain text elements
+        const hasInterpolation = fullText.includes('{{') && fullText.includes('}}');
+        if (hasInterpolation && $el.find('*').length > 0) {
+          return;
+        }
+        
+        // Skip if element has Angular directives that might contain text values that shouldn't be extracted
+        if (domElement.attribs) {
+          const hasProblematicDirectives = Object.keys(domElement.attribs).some(attr => {
+            const value = domElement.attribs[attr];
+            // Skip if directive contains expressions or interpolations
+            return (attr.startsWith('*ng') || 
+                    attr.startsWith('[') || 
+                    attr.startsWith('(') ||
+                    /^(ngIf|ngFor|ngClass|ngStyle)$/.test(attr)) &&
+                   (value.includes('{{') || value.includes('}}') || 
+                    value.includes('(') || value.includes(')') ||
+                    value.includes('[') || value.includes(']') ||
+                    /^\s*\w+\s*$/.test(value) || // Simple variable references
+                    /\w+\.\w+/.test(value)); // Property access
+          });
           
-          // Skip container elements that are too generic unless they have no content children
-          if (['div', 'span'].includes(tagName)) {
-            const hasContentChildren = $el.find('p, li, h1, h2, h3, h4, h5, h6, button, label, a').length > 0;
-            if (hasContentChildren) {
-              return;
-            }
-          }
-          
-          // Check if element contains any text content
-          const fullText = $el.text().trim();
-          if (!fullText || this.isExcluded(fullText)) {
+          if (hasProblematicDirectives) {
             return;
           }
+        }
+        
+        // Check if element has child elements with text (mixed content)
+        const hasChildElements = $el.find('*').length > 0;
+        const htmlContent = $el.html();
+        const range = this.getElementContentRange(domElement, content);
+        
+        if (hasChildElements && this.containsTranslatableText(htmlContent)) {
+          // Extract the full HTML content including nested tags
+          occurrences.push({ element: domElement, attribute: null, text: fullText, value: htmlContent, params: null, range });
           
-          // Skip if this looks like already-translated content
-          if (fullText.includes("{{ '") && fullText.includes("' | translate }}")) {
-            return;
+          // Mark this element and its children as processed
+          processedElements.add(domElement);
+          $el.find('*').each((i, child) => processedElements.add(child));
+        } else if (hasInterpolation) {
+          // Text with {{ }} becomes a message with named parameters
+          const parameterized = this.parameterizeInterpolations(fullText);
+          if (parameterized) {
+            // Angular i18n keeps the interpolations in place and extracts them as placeholders
+            const value = this.framework === 'angular' ? fullText : parameterized.message;
+            const params = parameterized.params.map(param => `${param.name}: ${param.expression}`).join(', ');
+            occurrences.push({ element: domElement, attribute: null, text: parameterized.message, value, params, range });
           }
-          
-          // Skip if text contains Angular interpolation {{ }}
-          if (fullText.includes('{{') && fullText.includes('}}')) {
+          processedElements.add(domElement);
+        } else if (!hasChildElements) {
+          // Simple text content without child elements
+          occurrences.push({ element: domElement, attribute: null, text: fullText, value: fullText, params: null, range });
+          processedElements.add(domElement);
+        }
+      });
+    });
+
+    // Extract attribute values that contain display text
+    $('*').each((index, element) => {
+      // parse5 reports attribute names in lower case
+      const attribs = element.attribs || {};
+      if (this.isIgnoredElement(element, ignoredRanges)) {
+        return;
+      }
+      
+      this.translatableAttributes.forEach(attr => {
+        const name = attr.toLowerCase();
+        const attrValue = attribs[name];
+        if (attrValue && attrValue.trim() && !this.isExcluded(attrValue)) {
+          // Skip if attribute value contains Angular interpolation or expressions
+          if (attrValue.includes('{{') || attrValue.includes('}}') || 
+              attrValue.includes('[') || attrValue.includes('(')) {
             return;
           }
           
-          // Skip if element has Angular directives that might contain text values that shouldn't be extracted
-          if (domElement.attribs) {
-            const hasProblematicDirectives = Object.keys(domElement.attribs).some(attr => {
-              const value = domElement.attribs[attr];
-              // Skip if directive contains expressions or interpolations
-              return (attr.startsWith('*ng') || 
-                      attr.startsWith('[') || 
-                      attr.startsWith('(') ||
-                      /^(ngIf|ngFor|ngClass|ngStyle)$/.test(attr)) &&
-                     (value.includes('{{') || value.includes('}}') || 
-                      value.includes('(') || value.includes(')') ||
-                      value.includes('[') || value.includes(']') ||
-                      /^\s*\w+\s*$/.test(value) || // Simple variable references
-                      /\w+\.\w+/.test(value)); // Property access
-            });
-            
-            if (hasProblematicDirectives) {
-              return;
-            }
-          }
-          
-          // Check if element has child elements with text (mixed content)
-          const hasChildElements = $el.find('*').length > 0;
-          const htmlContent = $el.html();
-          
-          if (hasChildElements && this.containsTranslatableText(htmlContent)) {
-            // Extract the full HTML content including nested tags
-            const key = this.generateKey(fullText);
-            this.extractedTexts.set(key, htmlContent);
-            
-            if (this.options.replace) {
-              // Store replacement for the entire HTML content
-              textReplacements.push({
-                originalText: htmlContent,
-                newText: `{{ '${key}' | translate }}`,
-                fullMatch: true
-              });
-            }
-            
-            // Mark this element and its children as processed
-            processedElements.add(domElement);
-            $el.find('*').each((i, child) => processedElements.add(child));
-          } else if (!hasChildElements) {
-            // Simple text content without child elements
-            if (!this.isExcluded(fullText)) {
-              const key = this.generateKey(fullText);
-              this.extractedTexts.set(key, fullText);
-              
-              if (this.options.replace) {
-                // Store replacement for text content only
-                textReplacements.push({
-                  originalText: fullText,
-                  newText: `{{ '${key}' | translate }}`,
-                  fullMatch: false
-                });
-              }
-            }
-            processedElements.add(domElement);
-          }
-        });
-      });
+          occurrences.push({ element, attribute: attr, text: attrValue, value: attrValue, params: null, range: this.getAttributeRange(element, name) });
+        }
 
-      // Extract attribute values that contain display text
-      $('*').each((index, element) => {
-        const $el = $(element);
-        const attributes = ['title', 'alt', 'placeholder', 'aria-label'];
-        
-        attributes.forEach(attr => {
-          const attrValue = $el.attr(attr);
-          if (attrValue && attrValue.trim() && !this.isExcluded(attrValue)) {
-            // Skip if attribute value contains Angular interpolation or expressions
-            if (attrValue.includes('{{') || attrValue.includes('}}') || 
-                attrValue.includes('[') || attrValue.includes('(')) {
-              return;
-            }
-            
-            const key = this.generateKey(attrValue);
-            this.extractedTexts.set(key, attrValue);
-            
-            if (this.options.replace) {
-              attributeReplacements.push({
-                attribute: attr,
-                originalValue: attrValue,
-                newValue: `{{ '${key}' | translate }}`,
-                element: element
-              });
-            }
-          }
-        });
+        // Property bindings to a string literal: [label]="'Save draft'"
+        const bindingValue = attribs[`[${name}]`] !== undefined ? this.parseStringLiteral(attribs[`[${name}]`]) : null;
+        if (bindingValue && !this.isExcluded(bindingValue) && !bindingValue.includes('{{')) {
+          occurrences.push({ element, attribute: attr, binding: true, text: bindingValue, value: bindingValue, params: null, range: this.getAttributeRange(element, `[${name}]`) });
+        }
       });
+    });
 
-      // Apply replacements to original content
-      if (this.options.replace && (textReplacements.length > 0 || attributeReplacements.length > 0)) {
-        let modifiedContent = content;
-        
-        // Apply text replacements (sort by length descending to avoid partial replacements)
-        textReplacements
-          .sort((a, b) => b.originalText.length - a.originalText.length)
-          .forEach(replacement => {
-            // Use precise replacement to avoid changing formatting
-            modifiedContent = modifiedContent.replace(
-              new RegExp(this.escapeRegExp(replacement.originalText), 'g'),
-              replacement.newText
-            );
-          });
-        
-        // Apply attribute replacements
-        attributeReplacements.forEach(replacement => {
-          const attrPattern = new RegExp(
-            `(${replacement.attribute}\\s*=\\s*["'])` + 
-            this.escapeRegExp(replacement.originalValue) + 
-            `(["'])`,
-            'g'
-          );
-          modifiedContent = modifiedContent.replace(
-            attrPattern,
-            `$1${replacement.newValue}$2`
-          );
-        });
-        
-        await fs.writeFile(filePath, modifiedContent, 'utf8');
+    const edits = [];
+    // Directive style: set when a replacement lies outside every *transloco element
+    let needsTranslocoWrapper = false;
+    this.resolveOverlappingOccurrences(occurrences).forEach(({ element, attribute, binding, text, value, params, range }) => {
+      const key = this.getHtmlKey(text, element, attribute);
+      this.recordHtmlText(key, value, filePath, content, element, attribute);
+
+      if (!this.options.replace) {
+        return;
       }
+      if (this.framework === 'angular') {
+        // i18n-<name> only applies to static attributes, so bindings become one first
+        if (binding && range) {
+          edits.push({ ...range, text: `${attribute}="${value.replace(/"/g, '&quot;')}"` });
+        }
+        this.addI18nAttribute(element, attribute, key, edits);
+      } else if (range) {
+        // Rewrite exactly this occurrence; everything around it keeps its formatting
+        const variable = this.usesTranslocoDirective() ? this.findTranslocoVariable(element) : null;
+        needsTranslocoWrapper = needsTranslocoWrapper || (this.usesTranslocoDirective() && !variable);
+        const expression = this.buildTranslateExpression(key, params, variable);
+        const name = attribute ? content.slice(range.start, range.end).match(/^[^\s=]+/)[0] : null;
+        if (!attribute) {
+          edits.push({ ...range, text: `{{ ${expression} }}` });
+        } else {
+          edits.push({ ...range, text: binding ? `${name}="${expression}"` : `${name}="{{ ${expression} }}"` });
+        }
+      }
+    });
 
-    } catch (error) {
-      console.warn(`Warning: Could not process HTML template ${filePath}:`, error.message);
+    // Apply replacements to original content
+    if (edits.length === 0) {
+      return content;
     }
-  }
 
-  containsTranslatableText(htmlContent) {
-    // Remove HTML tags and check if remaining text is translatable
-    const textOnly = htmlContent.replace(/<[^>]*>/g, '').trim();
-    
-    // Skip already-translated content
-    if (textOnly.includes("{{ '") && textOnly.includes("' | translate }}")) {
-      return false;
+    const modifiedContent = this.applyEdits(content, edits);
+
+    // Directive style: t() outside an existing *transloco element needs the template wrapped in one
+    // The whitespace around the template stays where it is, so inline templates keep their backticks in place
+    if (needsTranslocoWrapper) {
+      const [, leading, body, trailing] = modifiedContent.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      const indent = leading.slice(leading.lastIndexOf('\n') + 1);
+      return `${leading}<ng-container *transloco="let t">\n${indent}${body}\n${indent}</ng-container>${trailing}`;
     }
-    
-    return textOnly.length > 0 && !this.isExcluded(textOnly) && this.isDisplayText(textOnly);
+    return modifiedContent;
   }
 
+  // <!-- i18n-ignore-start --> ... <!-- i18n-ignore-end -->; a range without an end runs to the end of the template
+  findIgnoredRanges(content) {
+    const ranges = [];
+    const markerPattern = /<!--\s*i18n-ignore-(start|end)\s*-->/g;
+    let start = null;
+    let match;
 
+    while ((match = markerPattern.exec(content)) !== null) {
+      if (match[1] === 'start' && start === null) {
+        start = match.index;
+      } else if (match[1] === 'end' && start !== null) {
+        ranges.push({ start, end: markerPattern.lastIndex });
+        start = null;
+      }
+    }
 
-
-  isDisplayText(text, context = null) {
-    const trimmed = text.trim();
-    
-    // Skip already-translated content
-    if (/^[a-zA-Z0-9_.]+$/.test(trimmed) && trimmed.includes('.')) {
-      // This looks like a translation key
-      return false;
+    if (start !== null) {
+      ranges.push({ start, end: content.length });
     }
-    
-    // Skip template literals with interpolation that looks like translation
-    if (/^\$\{.*\}$/.test(trimmed) || /assets\/i18n\/.*\.json/.test(trimmed)) {
-      return false;
+    return ranges;
+  }
+
+  // Elements inside an i18n-ignore element, or starting inside an ignored comment range
+  isIgnoredElement(element, ignoredRanges) {
+    for (let node = element; node; node = node.parent) {
+      if (node.attribs && node.attribs['i18n-ignore'] !== undefined) {
+        return true;
+      }
     }
-    
-    // Skip interpolated strings with ${} format
-    if (trimmed.includes('${') && trimmed.includes('}')) {
-      return false;
+
+    const location = element.sourceCodeLocation;
+    return Boolean(location) && ignoredRanges.some(range =>
+      range.start <= location.startOffset && location.startOffset < range.end
+    );
+  }
+
+  // Source range of an element's content without its surrounding whitespace
+  getElementContentRange(element, content) {
+    const location = element.sourceCodeLocation;
+    if (!location || !location.startTag) {
+      return null;
     }
-    
-    // If we have context information, use it for better filtering
+
+    // Elements closed implicitly (<li> without </li>) have no end tag
+    const start = location.startTag.endOffset;
+    const end = location.endTag ? location.endTag.startOffset : location.endOffset;
+    const inner = content.slice(start, end);
+    return {
+      start: start + (inner.length - inner.trimStart().length),
+      end: end - (inner.length - inner.trimEnd().length)
+    };
+  }
+
+  // Source range of a whole name="value" attribute
+  getAttributeRange(element, attribute) {
+    const location = element.sourceCodeLocation;
+    const attributeLocation = location && location.attrs ? location.attrs[attribute] : null;
+    return attributeLocation ? { start: attributeLocation.startOffset, end: attributeLocation.endOffset } : null;
+  }
+
+  resolveOverlappingOccurrences(occurrences) {
+    // Angular only inserts i18n attributes, which never overlap
+    if (this.framework === 'angular') {
+      return occurrences;
+    }
+
+    // Content replaced as a whole wins over the elements and attributes inside it
+    const replacedRanges = occurrences
+      .filter(occurrence => !occurrence.attribute && occurrence.range)
+      .map(occurrence => occurrence.range);
+    return occurrences.filter(({ range }) => !range || !replacedRanges.some(other =>
+      other !== range && other.start <= range.start && range.end <= other.end
+    ));
+  }
+
+  usesTranslocoDirective() {
+    return this.framework === 'transloco' && this.translocoStyle === 'directive';
+  }
+
+  // Variable of the *transloco directive on the element or one of its ancestors, which is only defined inside it
+  findTranslocoVariable(element) {
+    for (let node = element; node; node = node.parent) {
+      const directive = node.attribs ? node.attribs['*transloco'] : undefined;
+      const match = directive !== undefined ? directive.match(/^\s*let\s+([\w$]+)/) : null;
+      if (match) {
+        return match[1];
+      }
+    }
+    return null;
+  }
+
+  buildTranslateExpression(key, params = null, variable = null) {
+    if (this.usesTranslocoDirective()) {
+      const name = variable || 't';
+      return params ? `${name}('${key}', { ${params} })` : `${name}('${key}')`;
+    }
+
+    const pipe = this.framework === 'transloco' ? 'transloco' : 'translate';
+    return params ? `'${key}' | ${pipe}: { ${params} }` : `'${key}' | ${pipe}`;
+  }
+
+  hasI18nAttribute(element, attribute = null) {
+    const name = attribute ? `i18n-${attribute.toLowerCase()}` : 'i18n';
+    return Boolean(element.attribs) && element.attribs[name] !== undefined;
+  }
+
+  getI18nMetadata(element, attribute = null) {
+    const name = attribute ? `i18n-${attribute.toLowerCase()}` : 'i18n';
+    const value = element.attribs ? element.attribs[name] : undefined;
+    if (value !== undefined) {
+      return parseI18nMetadata(value);
+    }
+
+    return {
+      meaning: this.currentComponentContext,
+      description: `${element.name} ${attribute || 'text'}`,
+      id: null
+    };
+  }
+
+  getHtmlKey(text, element, attribute = null) {
+    // Angular mode: elements marked by an earlier run keep their @@id
+    if (this.framework === 'angular') {
+      const { id } = this.getI18nMetadata(element, attribute);
+      if (id) {
+        return id;
+      }
+    }
+    return this.generateKey(text);
+  }
+
+  recordHtmlText(key, value, filePath, content, element, attribute = null) {
+    const marked = this.framework === 'angular' && this.hasI18nAttribute(element, attribute);
+    const location = { ...this.getHtmlLocation(element, attribute), element: element.name, attribute };
+    this.recordText(key, value, filePath, location, marked);
+    if (this.framework === 'angular') {
+      const { meaning, description } = this.getI18nMetadata(element, attribute);
+      this.i18nMessages.set(key, {
+        markup: attribute ? buildAttributeMarkup(value) : buildMessageMarkup(element, content),
+        meaning,
+        description
+      });
+    }
+  }
+
+  addI18nAttribute(element, attribute, key, edits) {
+    const name = attribute ? `i18n-${attribute}` : 'i18n';
+    const metadata = this.getI18nMetadata(element, attribute);
+    const location = element.sourceCodeLocation;
+    if (metadata.id || !location) {
+      return;
+    }
+
+    const value = `${name}="${buildI18nMetadata({ ...metadata, id: key })}"`;
+    const attributeLocations = location.startTag.attrs || {};
+    const existing = attributeLocations[name.toLowerCase()];
+    if (existing) {
+      // Keep the meaning and description already written by hand
+      edits.push({ start: existing.startOffset, end: existing.endOffset, text: value });
+      return;
+    }
+
+    // Insert after the last attribute, or after the tag name
+    const insertAt = Object.values(attributeLocations)
+      .reduce((offset, attributeLocation) => Math.max(offset, attributeLocation.endOffset),
+        location.startTag.startOffset + 1 + element.name.length);
+    edits.push({ start: insertAt, end: insertAt, text: ` ${value}` });
+  }
+
+  // Text of a quoted string literal expression, or null for any other expression
+  parseStringLiteral(expression) {
+    const match = expression.match(/^\s*(['"])((?:\\.|(?!\1)[^\\])*)\1\s*$/);
+    return match ? match[2].replace(/\\(.)/g, '$1') : null;
+  }
+
+  isTranslatedText(text) {
+    return /\{\{\s*'[^']*'\s*\|\s*(translate|transloco)\b/.test(text);
+  }
+
+  parameterizeInterpolations(text) {
+    const params = [];
+    const message = text.replace(/\{\{\s*([\s\S]+?)\s*\}\}/g, (match, expression) => {
+      const normalized = expression.replace(/\s+/g, ' ');
+      const existing = params.find(param => param.source === normalized);
+      if (existing) {
+        return `{{${existing.name}}}`;
+      }
+
+      // Clashing names from different expressions get a numeric suffix: name, name2
+      const baseName = this.getParameterName(normalized);
+      let name = baseName;
+      for (let suffix = 2; params.some(param => param.name === name); suffix++) {
+        name = `${baseName}${suffix}`;
+      }
+
+      // Pipes are not allowed inside the object literal without parentheses
+      const value = /(?<!\|)\|(?!\|)/.test(normalized) ? `(${normalized})` : normalized;
+      params.push({ name, expression: value, source: normalized });
+      return `{{${name}}}`;
+    });
+
+    // Elements made only of bindings have nothing to translate
+    const staticText = message.replace(/\{\{\w+\}\}/g, '');
+    if (this.isExcluded(staticText) || !/[a-zA-Z]/.test(staticText)) {
+      return null;
+    }
+
+    return {
+      message,
+      params: params.map(({ name, expression }) => ({ name, expression }))
+    };
+  }
+
+  getParameterName(expression) {
+    // user.name -> name, items.length -> length, total() | currency -> total
+    const withoutPipes = expression.split(/(?<!\|)\|(?!\|)/)[0];
+    const identifiers = withoutPipes.replace(/'[^']*'|"[^"]*"/g, '').match(/[a-zA-Z_$][\w$]*/g);
+    return identifiers ? identifiers[identifiers.length - 1].replace(/\$/g, '') || 'param' : 'param';
+  }
+
+  async writeSourceFile(filePath, original, modified) {
+    if (this.options.dryRun) {
+      this.pendingChanges.push({ filePath, original, modified });
+      return;
+    }
+    await fs.writeFile(filePath, modified, 'utf8');
+    this.rewrittenFiles.add(filePath);
+    // A file rewritten twice in one run is restored to what it was before the first rewrite
+    const firstOriginal = this.backups.has(filePath) ? this.backups.get(filePath).original : original;
+    this.backups.set(filePath, { original: firstOriginal, modified });
+  }
+
+  // Run manifest with the originals of the rewritten files, for the restore command
+  async saveBackupRun() {
+    if (this.backups.size === 0 || this.options.backup === false) {
+      return null;
+    }
+
+    const backupDir = this.options.backupDir || DEFAULT_BACKUP_DIR;
+    const manifest = await saveRun(backupDir, Array.from(this.backups, ([filePath, backup]) => ({ filePath, ...backup })));
+    this.backups.clear();
+    console.log(`🗄️  Saved originals of ${manifest.files.length} rewritten files as run ${manifest.id} (undo with: ng-i18n-extract restore ${manifest.id})`);
+    return manifest;
+  }
+
+  async reportDryRun(diffOutputPath = null) {
+    const patch = this.pendingChanges
+      .slice()
+      .sort((a, b) => a.filePath.localeCompare(b.filePath))
+      .map(change => createFilePatch(this.toRelativePath(change.filePath), change.original, change.modified))
+      .join('');
+    const newKeys = Array.from(this.extractedTexts.keys())
+      .filter(key => !this.existingTranslations || !this.existingTranslations.has(key));
+
+    console.log('🔍 Dry run: no files were written');
+    console.log(patch || 'No source files would change');
+    console.log(`🔑 ${newKeys.length} keys would be created${newKeys.length > 0 ? ':' : ''}`);
+    newKeys.forEach(key => console.log(`  ${key}: ${JSON.stringify(this.extractedTexts.get(key))}`));
+
+    if (diffOutputPath) {
+      await fs.mkdir(path.dirname(diffOutputPath), { recursive: true });
+      await fs.writeFile(diffOutputPath, patch, 'utf8');
+      console.log(`📝 Saved patch to ${diffOutputPath} (apply with git apply)`);
+    }
+
+    return { patch, newKeys };
+  }
+
+  containsTranslatableText(htmlContent) {
+    // Remove HTML tags and check if remaining text is translatable
+    const textOnly = htmlContent.replace(/<[^>]*>/g, '').trim();
+    
+    // Skip already-translated content
+    if (this.isTranslatedText(textOnly)) {
+      return false;
+    }
+    
+    return textOnly.length > 0 && !this.isExcluded(textOnly) && this.isDisplayText(textOnly);
+  }
+
+
+
+
+  isDisplayText(text, context = null) {
+    const trimmed = text.trim();
+    
+    // Skip already-translated content
+    if (/^[a-zA-Z0-9_.]+$/.test(trimmed) && trimmed.includes('.')) {
+      // This looks like a translation key
+      return false;
+    }
+    
+    // Skip template literals with interpolation that looks like translation
+    if (/^\$\{.*\}$/.test(trimmed) || /assets\/i18n\/.*\.json/.test(trimmed)) {
+      return false;
+    }
+    
+    // Skip interpolated strings with ${} format
+    if (trimmed.includes('${') && trimmed.includes('}')) {
+      return false;
+    }
+    
+    // If we have context information, use it for better filtering
     if (context) {
       // Exclude strings based on context
       if (context.isImport || context.isRequire) {
@@ -410,51 +1260,1186 @@ class TextExtractor {
            /^[0-9\s\-_.,;:!?()[\]{}]+$/.test(trimmed);
   }
 
+  parseTypeScript(content) {
+    return babelParser.parse(content, {
+      sourceType: 'module',
+      plugins: ['typescript', 'decorators-legacy'],
+      errorRecovery: true
+    });
+  }
+
+  // Lines following a // i18n-ignore-next-line comment
+  findIgnoredLines(ast) {
+    return new Set((ast.comments || [])
+      .filter(comment => comment.value.trim() === 'i18n-ignore-next-line')
+      .map(comment => comment.loc.end.line + 1));
+  }
+
+  getLiteralText(node) {
+    if (node.type === 'StringLiteral') {
+      return node.value;
+    }
+
+    // Template literals with ${} expressions cannot become a single static key
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+      return node.quasis[0].value.cooked;
+    }
+
+    return null;
+  }
+
+  isNonValuePosition(node, parent) {
+    if (!parent) {
+      return false;
+    }
+
+    // Object/class member names: { 'key': value }
+    if (['ObjectProperty', 'ObjectMethod', 'ClassProperty', 'ClassMethod', 'TSPropertySignature'].includes(parent.type) &&
+        parent.key === node) {
+      return true;
+    }
+
+    // Type positions: status: 'active' | 'inactive'
+    if (parent.type === 'TSLiteralType' || parent.type === 'TSEnumMember') {
+      return true;
+    }
+
+    // Lookups and comparisons: obj['key'], value === 'done', case 'done':, 'key' in obj
+    if (parent.type === 'MemberExpression' || parent.type === 'OptionalMemberExpression') {
+      return parent.property === node;
+    }
+
+    if (parent.type === 'BinaryExpression' &&
+        ['===', '!==', '==', '!=', 'in', 'instanceof'].includes(parent.operator)) {
+      return true;
+    }
+
+    // Tagged templates (html``, $localize``) are not plain strings
+    return parent.type === 'SwitchCase' || parent.type === 'TaggedTemplateExpression';
+  }
+
+  // template: `...` in @Component({...}); templates with ${} expressions are left alone
+  isInlineTemplate(node, ancestors) {
+    const parent = ancestors[0];
+    if (node.type !== 'TemplateLiteral' || node.expressions.length > 0 ||
+        !parent || parent.type !== 'ObjectProperty' || parent.value !== node) {
+      return false;
+    }
+
+    const name = parent.key.type === 'Identifier' ? parent.key.name : parent.key.value;
+    return name === 'template' && this.buildLiteralContext(node, ancestors).isComponentDecorator;
+  }
+
+  isLocalizeTemplate(node) {
+    return node.type === 'TaggedTemplateExpression' && node.tag.type === 'Identifier' && node.tag.name === '$localize';
+  }
+
+  buildLiteralContext(node, ancestors) {
+    const context = {
+      isImport: false,
+      isRequire: false,
+      isDecorator: false,
+      isComponentDecorator: false,
+      isConsole: false,
+      isThrow: false
+    };
+
+    ancestors.forEach(ancestor => {
+      switch (ancestor.type) {
+        case 'ImportDeclaration':
+        case 'ExportNamedDeclaration':
+        case 'ExportAllDeclaration':
+        case 'ImportExpression':
+        case 'TSImportType':
+        case 'TSExternalModuleReference':
+          // Export declarations only count when the literal is the module specifier
+          if (!ancestor.type.startsWith('Export') || ancestor.source === node) {
+            context.isImport = true;
+          }
+          break;
+        case 'Decorator': {
+          context.isDecorator = true;
+          const callee = ancestor.expression && ancestor.expression.callee;
+          if (callee && callee.name === 'Component') {
+            context.isComponentDecorator = true;
+          }
+          break;
+        }
+        case 'ThrowStatement':
+          context.isThrow = true;
+          break;
+        case 'CallExpression': {
+          const callee = ancestor.callee;
+          if (callee.type === 'Import') {
+            context.isImport = true;
+          } else if (callee.type === 'Identifier' && callee.name === 'require') {
+            context.isRequire = true;
+          } else if (callee.type === 'MemberExpression' &&
+                     callee.object.type === 'Identifier' && callee.object.name === 'console') {
+            context.isConsole = true;
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    });
+
+    return context;
+  }
+
+  async extractFromTypeScriptFile(filePath) {
+    try {
+      // Set component context based on file path
+      this.setComponentContext(filePath);
+
+      const content = await fs.readFile(filePath, 'utf8');
+      const modifiedContent = this.extractFromTypeScript(content, filePath);
+      if (modifiedContent !== content) {
+        await this.writeSourceFile(filePath, content, modifiedContent);
+      }
+    } catch (error) {
+      console.warn(`Warning: Could not process TypeScript file ${filePath}:`, error.message);
+    }
+  }
+
+  // Returns the rewritten content, or the content unchanged when nothing is replaced
+  extractFromTypeScript(content, filePath) {
+    const ast = this.parseTypeScript(content);
+    const literals = [];
+    const templates = [];
+    const ignoredLines = this.findIgnoredLines(ast);
+
+    walkAst(ast.program, (node, ancestors) => {
+      if (node.loc && ignoredLines.has(node.loc.start.line) &&
+          (node.type === 'StringLiteral' || node.type === 'TemplateLiteral')) {
+        return;
+      }
+
+      if (this.isInlineTemplate(node, ancestors)) {
+        templates.push({ node, componentOptions: ancestors[1] });
+        return;
+      }
+
+      if (this.isLocalizeTemplate(node)) {
+        // Messages marked by an earlier run keep their @@id
+        const message = parseLocalizeText(this.getLiteralText(node.quasi) || '');
+        if (message.id) {
+          this.recordText(message.id, message.text.trim(), filePath, {
+            line: node.loc.start.line,
+            column: node.loc.start.column + 1
+          }, true);
+        }
+        return;
+      }
+
+      if (node.type !== 'StringLiteral' && node.type !== 'TemplateLiteral') {
+        return;
+      }
+
+      const text = this.getLiteralText(node);
+      if (text === null || this.isNonValuePosition(node, ancestors[0])) {
+        return;
+      }
+
+      const context = this.buildLiteralContext(node, ancestors);
+      if (this.isExcluded(text) || !this.isDisplayText(text, context)) {
+        return;
+      }
+
+      const key = this.generateKey(text);
+      this.recordText(key, text.trim(), filePath, {
+        line: node.loc.start.line,
+        column: node.loc.start.column + 1
+      });
+      literals.push({ node, ancestors, key });
+    });
+
+    // Inline templates go through the HTML pipeline; their rewrites stay inside the literal
+    const templateEdits = templates.map(({ node, componentOptions }) => {
+      const { start, end, loc } = node.quasis[0];
+      const template = content.slice(start, end);
+      const modifiedTemplate = this.extractFromTemplate(template, filePath, { line: loc.start.line, column: loc.start.column + 1 });
+      return { start, end, text: modifiedTemplate, componentOptions };
+    }).filter(edit => edit.text !== content.slice(edit.start, edit.end));
+
+    if (this.options.replace && (literals.length > 0 || templateEdits.length > 0)) {
+      return this.rewriteTypeScript(content, ast, literals, templateEdits);
+    }
+    return content;
+  }
+
+  rewriteTypeScript(content, ast, literals, templateEdits = []) {
+    if (this.framework === 'angular') {
+      // $localize needs no injection context, so every literal is rewritten in place
+      return this.applyEdits(content, templateEdits.concat(literals.map(({ node, key }) => ({
+        start: node.start,
+        end: node.end,
+        text: buildLocalizeCall(key, this.getLiteralText(node))
+      }))));
+    }
+
+    const edits = [];
+    const classReceivers = new Map();
+    const functionReceivers = new Map();
+    let needsInject = false;
+
+    literals.forEach(({ node, ancestors, key }) => {
+      const target = this.findTranslateTarget(ancestors);
+      if (!target) {
+        // Module-level constants and static members have no injection context
+        return;
+      }
+
+      let receiver;
+      if (target.classNode) {
+        if (!classReceivers.has(target.classNode)) {
+          const injection = this.injectIntoClass(content, target.classNode, edits);
+          needsInject = needsInject || injection.usesInject;
+          classReceivers.set(target.classNode, `this.${injection.name}`);
+        }
+        receiver = classReceivers.get(target.classNode);
+      } else {
+        if (!functionReceivers.has(target.functionNode)) {
+          functionReceivers.set(target.functionNode, this.injectIntoFunction(content, target.functionNode, edits));
+          needsInject = true;
+        }
+        receiver = functionReceivers.get(target.functionNode);
+      }
+
+      const parent = ancestors[0];
+      if (parent.type === 'CallExpression' && parent.callee.type === 'Identifier' &&
+          parent.callee.name === 'of' && parent.arguments.length === 1) {
+        // of('text') already produces an observable, so swap the whole call for get() / selectTranslate()
+        edits.push({ start: parent.start, end: parent.end, text: `${receiver}.${this.service.observable}('${key}')` });
+      } else {
+        const method = this.isObservableTarget(node, parent) ? this.service.observable : this.service.instant;
+        edits.push({ start: node.start, end: node.end, text: `${receiver}.${method}('${key}')` });
+      }
+    });
+
+    // Standalone components compile their inline templates against their own imports
+    const templateModules = templateEdits.filter(edit => this.addTemplateImport(content, edit.componentOptions, edits));
+
+    if (edits.length === 0) {
+      return this.applyEdits(content, templateEdits);
+    }
+
+    const required = [];
+    if (classReceivers.size > 0 || functionReceivers.size > 0) {
+      required.push([this.service.className, this.service.module]);
+    }
+    if (templateModules.length > 0) {
+      required.push([this.service.templateImports[0], this.service.module]);
+    }
+    if (needsInject) {
+      required.push(['inject', '@angular/core']);
+    }
+    this.ensureImports(content, ast, required, edits);
+
+    return this.applyEdits(content, templateEdits.concat(edits));
+  }
+
+  findTranslateTarget(ancestors) {
+    let rebindsThis = false;
+
+    for (let i = 0; i < ancestors.length; i++) {
+      const ancestor = ancestors[i];
+
+      if (CLASS_MEMBER_TYPES.includes(ancestor.type)) {
+        // ancestors[i + 1] is the ClassBody, ancestors[i + 2] the class itself
+        const classNode = ancestors[i + 2];
+        if (rebindsThis || ancestor.static || !classNode || !this.isInjectableClass(classNode) ||
+            (classNode.id && classNode.id.name === this.service.className)) {
+          return null;
+        }
+        return { classNode };
+      }
+
+      if (ancestor.type !== 'ArrowFunctionExpression' && FUNCTION_TYPES.includes(ancestor.type)) {
+        rebindsThis = true;
+      }
+    }
+
+    // Functional guards, resolvers and interceptors inject at their outermost function
+    const functions = ancestors.filter(ancestor => FUNCTION_TYPES.includes(ancestor.type));
+    const functionNode = functions[functions.length - 1];
+    if (!functionNode || functionNode.body.type !== 'BlockStatement' ||
+        !this.runsInInjectionContext(functionNode, ancestors[ancestors.indexOf(functionNode) + 1])) {
+      return null;
+    }
+
+    return { functionNode };
+  }
+
+  isInjectableClass(classNode) {
+    return (classNode.decorators || []).some(decorator => {
+      const expression = decorator.expression.type === 'CallExpression' ? decorator.expression.callee : decorator.expression;
+      return expression.type === 'Identifier' && INJECTABLE_CLASS_DECORATORS.includes(expression.name);
+    });
+  }
+
+  // const authGuard: CanActivateFn = (route, state) => { ... }
+  runsInInjectionContext(functionNode, parent) {
+    if (!parent || parent.type !== 'VariableDeclarator' || parent.init !== functionNode) {
+      return false;
+    }
+    const annotation = parent.id.typeAnnotation && parent.id.typeAnnotation.typeAnnotation;
+    return Boolean(annotation) && annotation.type === 'TSTypeReference' &&
+      annotation.typeName.type === 'Identifier' && INJECTION_CONTEXT_FUNCTION_TYPES.includes(annotation.typeName.name);
+  }
+
+  isObservableTarget(node, parent) {
+    let name = null;
+    if ((parent.type === 'ClassProperty' || parent.type === 'AssignmentExpression') &&
+        (parent.value === node || parent.right === node)) {
+      const target = parent.key || parent.left;
+      name = target.type === 'MemberExpression' ? target.property.name : target.name;
+    } else if (parent.type === 'VariableDeclarator' && parent.init === node) {
+      name = parent.id.name;
+    }
+
+    // Angular convention: observables are named with a trailing $
+    return typeof name === 'string' && name.endsWith('$');
+  }
+
+  isTranslateServiceType(typeAnnotation) {
+    const type = typeAnnotation && typeAnnotation.typeAnnotation;
+    return !!type && type.type === 'TSTypeReference' &&
+           type.typeName.type === 'Identifier' && type.typeName.name === this.service.className;
+  }
+
+  isInjectCall(node, token) {
+    return !!node && node.type === 'CallExpression' &&
+           node.callee.type === 'Identifier' && node.callee.name === 'inject' &&
+           (!token || (node.arguments[0] && node.arguments[0].name === token));
+  }
+
+  injectIntoClass(content, classNode, edits) {
+    const members = classNode.body.body;
+    const constructor = members.find(member => member.kind === 'constructor');
+    const memberNames = new Set();
+
+    // Reuse an existing service injection if the class already has one
+    for (const member of members) {
+      if (member.type === 'ClassProperty' && member.key.type === 'Identifier') {
+        if (this.isInjectCall(member.value, this.service.className) || this.isTranslateServiceType(member.typeAnnotation)) {
+          return { name: member.key.name, usesInject: false };
+        }
+        memberNames.add(member.key.name);
+      }
+    }
+
+    if (constructor) {
+      for (const param of constructor.params) {
+        if (param.type === 'TSParameterProperty' && param.parameter.type === 'Identifier') {
+          if (this.isTranslateServiceType(param.parameter.typeAnnotation)) {
+            return { name: param.parameter.name, usesInject: false };
+          }
+          memberNames.add(param.parameter.name);
+        }
+      }
+    }
+
+    const name = memberNames.has(this.service.name) ? `${this.service.name}Service` : this.service.name;
+    const firstMember = members[0];
+    const memberIndent = firstMember ? this.getIndentation(content, firstMember.start) : '  ';
+
+    const isStandalone = (classNode.decorators || []).some(decorator => {
+      const args = decorator.expression.arguments || [];
+      return args.some(arg => arg.type === 'ObjectExpression' && arg.properties.some(prop =>
+        prop.key && prop.key.name === 'standalone' && prop.value.type === 'BooleanLiteral' && prop.value.value));
+    });
+    const usesInject = isStandalone || members.some(member => this.isInjectCall(member.value));
+
+    if (usesInject) {
+      edits.push({
+        start: firstMember.start,
+        end: firstMember.start,
+        text: `private readonly ${name} = inject(${this.service.className});\n\n${memberIndent}`
+      });
+      return { name, usesInject: true };
+    }
+
+    const parameter = `private ${name}: ${this.service.className}`;
+
+    if (constructor && constructor.params.length > 0) {
+      const lastParam = constructor.params[constructor.params.length - 1];
+      const isMultiline = lastParam.loc.start.line > constructor.loc.start.line;
+      edits.push({
+        start: lastParam.end,
+        end: lastParam.end,
+        text: isMultiline ? `,\n${this.getIndentation(content, lastParam.start)}${parameter}` : `, ${parameter}`
+      });
+    } else if (constructor) {
+      const openParen = content.indexOf('(', constructor.key.end);
+      edits.push({ start: openParen + 1, end: openParen + 1, text: parameter });
+    } else {
+      // New constructor goes after the leading property declarations
+      const properties = [];
+      for (const member of members) {
+        if (member.type !== 'ClassProperty') {
+          break;
+        }
+        properties.push(member);
+      }
+
+      if (properties.length > 0) {
+        const lastProperty = properties[properties.length - 1];
+        edits.push({
+          start: lastProperty.end,
+          end: lastProperty.end,
+          text: `\n\n${memberIndent}constructor(${parameter}) {}`
+        });
+      } else {
+        edits.push({
+          start: firstMember.start,
+          end: firstMember.start,
+          text: `constructor(${parameter}) {}\n\n${memberIndent}`
+        });
+      }
+    }
+
+    return { name, usesInject: false };
+  }
+
+  injectIntoFunction(content, functionNode, edits) {
+    const statements = functionNode.body.body;
+
+    for (const statement of statements) {
+      if (statement.type === 'VariableDeclaration') {
+        const declarator = statement.declarations.find(decl => this.isInjectCall(decl.init, this.service.className));
+        if (declarator) {
+          return declarator.id.name;
+        }
+      }
+    }
+
+    const declaration = `const ${this.service.name} = inject(${this.service.className});`;
+    if (statements.length > 0) {
+      const indent = this.getIndentation(content, statements[0].start);
+      edits.push({ start: statements[0].start, end: statements[0].start, text: `${declaration}\n${indent}` });
+    } else {
+      const indent = this.getIndentation(content, functionNode.start);
+      const openBrace = functionNode.body.start + 1;
+      edits.push({ start: openBrace, end: openBrace, text: `\n${indent}  ${declaration}\n${indent}` });
+    }
+
+    return this.service.name;
+  }
+
+  // Adds the translation pipe's module to the imports of a standalone component; returns whether it did
+  addTemplateImport(content, componentOptions, edits) {
+    const findProperty = name => componentOptions.properties.find(prop => prop.type === 'ObjectProperty' &&
+      (prop.key.type === 'Identifier' ? prop.key.name : prop.key.value) === name);
+    const imports = findProperty('imports');
+    const standalone = findProperty('standalone');
+    const moduleName = this.service.templateImports[0];
+
+    if (imports) {
+      // imports: SHARED_IMPORTS and the like cannot be edited safely
+      if (imports.value.type !== 'ArrayExpression') {
+        return false;
+      }
+      const elements = imports.value.elements.filter(Boolean);
+      if (elements.some(element => element.type === 'Identifier' && this.service.templateImports.includes(element.name))) {
+        return false;
+      }
+      if (elements.length > 0) {
+        const lastElement = elements[elements.length - 1];
+        edits.push({ start: lastElement.end, end: lastElement.end, text: `, ${moduleName}` });
+      } else {
+        edits.push({ start: imports.value.start + 1, end: imports.value.start + 1, text: moduleName });
+      }
+      return true;
+    }
+
+    // Components declared in an NgModule get the pipe from the module's imports
+    if (!standalone || standalone.value.type !== 'BooleanLiteral' || !standalone.value.value) {
+      return false;
+    }
+    const indent = this.getIndentation(content, standalone.start);
+    edits.push({ start: standalone.end, end: standalone.end, text: `,\n${indent}imports: [${moduleName}]` });
+    return true;
+  }
+
+  // required is a list of [name, moduleName] pairs; new import statements are added as one block
+  ensureImports(content, ast, required, edits) {
+    const imports = ast.program.body.filter(statement => statement.type === 'ImportDeclaration');
+    const newImports = new Map();
+
+    for (const [name, moduleName] of required) {
+      const alreadyImported = imports.some(decl =>
+        decl.specifiers.some(specifier => specifier.local.name === name));
+      if (alreadyImported) {
+        continue;
+      }
+
+      const sameModule = imports.find(decl => decl.source.value === moduleName &&
+        decl.specifiers.some(specifier => specifier.type === 'ImportSpecifier'));
+      if (sameModule) {
+        const lastSpecifier = sameModule.specifiers[sameModule.specifiers.length - 1];
+        edits.push({ start: lastSpecifier.end, end: lastSpecifier.end, text: `, ${name}` });
+        continue;
+      }
+
+      newImports.set(moduleName, [...(newImports.get(moduleName) || []), name]);
+    }
+
+    if (newImports.size === 0) {
+      return;
+    }
+    // Match the quote style of the existing imports
+    const quote = imports.length > 0 ? content[imports[0].source.start] : "'";
+    const statements = Array.from(newImports.entries())
+      .map(([moduleName, names]) => `import { ${names.join(', ')} } from ${quote}${moduleName}${quote};`);
+    if (imports.length > 0) {
+      const lastImport = imports[imports.length - 1];
+      edits.push({ start: lastImport.end, end: lastImport.end, text: `\n${statements.join('\n')}` });
+    } else {
+      edits.push({ start: 0, end: 0, text: `${statements.join('\n')}\n\n` });
+    }
+  }
+
+  getIndentation(content, offset) {
+    const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+    return content.slice(lineStart, offset).match(/^[ \t]*/)[0];
+  }
+
+  applyEdits(content, edits) {
+    // Apply from the end of the file so earlier offsets stay valid
+    return edits
+      .map((edit, index) => ({ ...edit, index }))
+      .sort((a, b) => b.start - a.start || b.index - a.index)
+      .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), content);
+  }
+
   escapeRegExp(string) {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
 
+  // Files matching the include and exclude globs, relative to dirPath
+  findSourceFiles(dirPath) {
+    const files = glob.sync(this.options.include || DEFAULT_INCLUDE, {
+      cwd: dirPath,
+      ignore: [...(this.options.exclude || []), ...ALWAYS_EXCLUDED],
+      nodir: true
+    }).sort();
+    return {
+      htmlFiles: files.filter(file => file.endsWith('.html')),
+      tsFiles: files.filter(file => file.endsWith('.ts'))
+    };
+  }
+
   async extractFromDirectory(dirPath) {
-    const htmlFiles = glob.sync('**/*.html', { cwd: dirPath });
+    const { htmlFiles, tsFiles } = this.findSourceFiles(dirPath);
 
-    console.log(`Found ${htmlFiles.length} HTML files`);
+    // The check command prints machine-readable reports to stdout
+    if (!this.options.quiet) {
+      console.log(`Found ${htmlFiles.length} HTML files`);
+      console.log(`Found ${tsFiles.length} TypeScript files`);
+    }
 
-    // Process HTML templates
-    for (const file of htmlFiles) {
-      const fullPath = path.join(dirPath, file);
-      await this.extractFromHtmlTemplate(fullPath);
+    // Files are analyzed once; the dedupe scan and the extraction both replay the same analyses
+    const analyses = this.usesFileAnalysis() ? await this.analyzeSourceFiles(dirPath, [...htmlFiles, ...tsFiles]) : null;
+
+    if (this.dedupe === 'global') {
+      // Keys must be final before any file is rewritten, so count the components using each text first
+      const scanner = new TextExtractor({ ...this.options, replace: false, dedupe: 'component' });
+      await scanner.processSourceFiles(dirPath, htmlFiles, tsFiles, analyses);
+      this.commonTexts = scanner.findCommonTexts(this.commonThreshold);
     }
+
+    await this.processSourceFiles(dirPath, htmlFiles, tsFiles, analyses);
+  }
+
+  findCommonTexts(threshold) {
+    const commonTexts = new Set();
+    this.textComponents.forEach((components, normalizedText) => {
+      if (components.size >= threshold) {
+        commonTexts.add(normalizedText);
+      }
+    });
+    return commonTexts;
   }
 
+  // Worker pool and cache both go through per-file analyses that are applied in file order
+  usesFileAnalysis() {
+    return this.workers > 1 || Boolean(this.options.cache);
+  }
 
-  async saveToJSON(outputPath) {
-    const outputDir = path.dirname(outputPath);
-    await fs.mkdir(outputDir, { recursive: true });
+  async processSourceFiles(dirPath, htmlFiles, tsFiles, analyses = null) {
+    if (analyses || this.usesFileAnalysis()) {
+      const results = analyses || await this.analyzeSourceFiles(dirPath, [...htmlFiles, ...tsFiles]);
+      for (const result of results) {
+        await this.applyFileAnalysis(result);
+      }
+    } else {
+      // Process HTML templates
+      for (const file of htmlFiles) {
+        const fullPath = path.join(dirPath, file);
+        await this.extractFromHtmlTemplate(fullPath);
+      }
+
+      // Process TypeScript components and services
+      for (const file of tsFiles) {
+        const fullPath = path.join(dirPath, file);
+        await this.extractFromTypeScriptFile(fullPath);
+      }
+    }
+
+    // Angular mode re-records @@id and $localize keys while extracting; the other frameworks leave only the key behind
+    if (this.existingTranslations && this.framework !== 'angular') {
+      await this.recordReferencedKeys(dirPath, [...htmlFiles, ...tsFiles]);
+    }
+  }
+
+  // Keys that an earlier --replace run wrote into the source are still in use, so a merge keeps them
+  async recordReferencedKeys(dirPath, files) {
+    // Required here because audit.js builds on this module
+    const { KeyUsageScanner } = require('./audit');
+    const scanner = new KeyUsageScanner(this.options);
+    for (const file of files) {
+      const filePath = path.join(dirPath, file);
+      const scanned = scanner.usages.length;
+      await scanner.scanFile(filePath);
+      scanner.usages.slice(scanned)
+        .filter(usage => this.existingTranslations.has(usage.key) &&
+          (!this.extractedTexts.has(usage.key) || this.referencedKeys.has(usage.key)))
+        .forEach(usage => {
+          this.referencedKeys.add(usage.key);
+          this.recordText(usage.key, this.existingTranslations.get(usage.key), filePath, { line: usage.line, column: usage.column }, true);
+        });
+    }
+  }
+
+
+  getCache(dirPath) {
+    if (!this.cache) {
+      this.cache = new ExtractionCache(this.options.cache, {
+        version,
+        dirPath,
+        framework: this.framework,
+        translocoStyle: this.translocoStyle,
+        contentElements: this.contentElements,
+        translatableAttributes: this.translatableAttributes,
+        replace: Boolean(this.options.replace)
+      });
+      this.cacheLoaded = this.cache.load();
+    }
+    return this.cacheLoaded.then(() => this.cache);
+  }
+
+  // Reads every file and analyzes the ones the cache does not know yet, on the worker pool when there is one.
+  // Results come back in the order of files, whichever worker finishes first.
+  async analyzeSourceFiles(dirPath, files) {
+    const cache = this.options.cache ? await this.getCache(dirPath) : null;
+    const hitsBefore = cache ? cache.hits : 0;
+    const results = [];
+    const pending = [];
+
+    for (const file of files) {
+      const filePath = path.join(dirPath, file);
+      const result = { file, filePath, content: null, analysis: null };
+      results.push(result);
+      try {
+        result.content = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        result.analysis = { events: [], messages: [], modified: null, error: error.message };
+        continue;
+      }
+      result.hash = hashContent(result.content);
+      result.analysis = cache ? cache.get(file, result.hash) : null;
+      if (!result.analysis) {
+        pending.push(result);
+      }
+    }
+
+    if (pending.length > 0) {
+      await this.runAnalyses(pending);
+      if (cache) {
+        pending.forEach(result => cache.set(result.file, result.hash, result.analysis));
+      }
+    }
+
+    if (cache) {
+      // A dry run promises not to write anything, including the cache
+      if (!this.options.dryRun) {
+        await cache.save();
+      }
+      if (!this.options.quiet && cache.hits > hitsBefore) {
+        console.log(`⚡ Reused cached results for ${cache.hits - hitsBefore} of ${files.length} files`);
+      }
+    }
+    return results;
+  }
 
+  async runAnalyses(pending) {
+    if (this.workers === 1) {
+      const analyzer = new DeferredKeyExtractor(this.options);
+      pending.forEach(result => {
+        result.analysis = analyzer.analyze(result.filePath, result.content);
+      });
+      return;
+    }
+
+    // Workers get plain options; anything else cannot be copied to another thread
+    const pool = new WorkerPool(path.join(__dirname, 'extract-worker.js'), Math.min(this.workers, pending.length), {
+      options: JSON.parse(JSON.stringify(this.options))
+    });
+    try {
+      await Promise.all(pending.map(async result => {
+        result.analysis = await pool.run({ filePath: result.filePath, content: result.content });
+      }));
+    } finally {
+      await pool.close();
+    }
+  }
+
+  // Replays the keys and texts of one file analysis, so keys come out exactly as in a serial run
+  async applyFileAnalysis({ filePath, content, analysis }) {
+    this.setComponentContext(filePath);
+    const keys = [];
+    const resolveKeys = (text) => text.replace(KEY_PLACEHOLDER_PATTERN, (match, index) => keys[Number(index)]);
+
+    analysis.events.forEach(event => {
+      if (event.type === 'key') {
+        keys.push(this.generateKey(event.text));
+      } else {
+        this.recordText(resolveKeys(event.key), event.value, filePath, event.location, event.translated);
+      }
+    });
+    analysis.messages.forEach(([key, message]) => {
+      this.i18nMessages.set(resolveKeys(key), message);
+    });
+
+    if (analysis.error) {
+      const kind = filePath.endsWith('.html') ? 'HTML template' : 'TypeScript file';
+      console.warn(`Warning: Could not process ${kind} ${filePath}:`, analysis.error);
+      return;
+    }
+    if (analysis.modified !== null && this.options.replace) {
+      await this.writeSourceFile(filePath, content, resolveKeys(analysis.modified));
+    }
+  }
+
+  buildSourceCatalog() {
     const translations = {};
     this.extractedTexts.forEach((value, key) => {
       translations[key] = value;
     });
 
+    const metadata = {
+      extractedAt: new Date().toISOString(),
+      totalTexts: this.extractedTexts.size,
+      keyPrefix: this.options.keyPrefix
+    };
+
+    if (this.dedupe !== 'none') {
+      // Every file that uses a key extracted more than once
+      metadata.sharedKeys = {};
+      this.extractedTexts.forEach((value, key) => {
+        if ((this.textSources.get(key) || []).length > 1) {
+          metadata.sharedKeys[key] = this.getSourceFiles(key);
+        }
+      });
+    }
+
+    if (this.existingTranslations) {
+      const merge = this.mergeWithExisting(translations);
+      metadata.totalTexts = Object.keys(translations).length;
+      metadata.merge = merge.summary;
+      if (merge.obsoleteKeys.length > 0 && !this.options.removeObsolete) {
+        metadata.obsoleteKeys = merge.obsoleteKeys;
+      }
+      console.log(`🔀 Merged with existing translations: ${merge.summary.added} added, ${merge.summary.kept} kept, ${merge.summary.obsolete} obsolete`);
+    }
+
+    return { translations, metadata };
+  }
+
+  async saveToJSON(outputPath) {
+    const outputDir = path.dirname(outputPath);
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const { translations, metadata } = this.buildSourceCatalog();
     const output = {
       locale: this.options.locale,
-      translations: translations,
-      metadata: {
-        extractedAt: new Date().toISOString(),
-        totalTexts: this.extractedTexts.size,
-        keyPrefix: this.options.keyPrefix
-      }
+      translations: formatTranslations(translations, this.jsonStructure),
+      metadata
     };
+    if (this.references === 'inline') {
+      output.references = this.buildReferences(Object.keys(translations));
+    }
 
     await fs.writeFile(outputPath, JSON.stringify(output, null, 2), 'utf8');
-    console.log(`💾 Saved ${this.extractedTexts.size} translations to ${outputPath}`);
+    console.log(`💾 Saved ${Object.keys(translations).length} translations to ${outputPath}`);
+
+    return translations;
+  }
+
+  buildXliffUnits(translations, sourceTexts = translations, needsTranslation = new Set()) {
+    // Sorted by key so exports stay byte-stable when files are renamed or reordered
+    return Object.keys(translations).sort().map(key => {
+      const unit = {
+        id: key,
+        source: sourceTexts[key] !== undefined ? sourceTexts[key] : '',
+        target: translations[key],
+        needsTranslation: needsTranslation.has(key),
+        notes: this.getSourceFiles(key)
+      };
+      if (this.framework !== 'angular') {
+        return unit;
+      }
+
+      const message = this.i18nMessages.get(key) || {};
+      return { ...unit, notes: [], locations: this.getSourceLocations(key), meaning: message.meaning, description: message.description };
+    });
+  }
+
+  getSourceLocations(key) {
+    const locations = new Map();
+    (this.textSources.get(key) || []).forEach(source => {
+      const file = this.toRelativePath(source.file);
+      locations.set(`${file}:${source.line}`, { file, line: source.line });
+    });
+    return Array.from(locations.keys()).sort().map(reference => locations.get(reference));
+  }
+
+  getXliffSourceTexts(translations) {
+    if (this.framework !== 'angular') {
+      return translations;
+    }
+
+    const sourceTexts = {};
+    Object.entries(translations).forEach(([key, value]) => {
+      if (this.i18nMessages.has(key)) {
+        sourceTexts[key] = this.i18nMessages.get(key).markup;
+      } else if (this.extractedTexts.has(key)) {
+        sourceTexts[key] = escapeXml(value);
+      } else {
+        // Obsolete units were read back from messages.xlf as markup
+        sourceTexts[key] = value;
+      }
+    });
+    return sourceTexts;
+  }
+
+  renderXliff(targetLocale, units) {
+    const document = { sourceLocale: this.options.locale, targetLocale, units };
+    if (this.framework === 'angular') {
+      // Same file header and placeholder markup as `ng extract-i18n`
+      Object.assign(document, { original: 'ng2.template', markup: true });
+    }
+    return buildXliff(XLIFF_FORMAT_VERSIONS[this.format], document);
+  }
+
+  buildGettextEntries(translations, sourceTexts, needsTranslation = new Set(), obsoleteKeys = new Set(), contexts = {}) {
+    const entries = new Map();
+
+    // Keys with the same text in the same component share one gettext message
+    Object.keys(translations).sort().forEach(key => {
+      const sources = this.textSources.get(key) || [];
+      const context = sources.length > 0 ? this.extractComponentName(sources[0].file) : (contexts[key] || '');
+      const msgid = sourceTexts[key] !== undefined ? sourceTexts[key] : '';
+      const obsolete = obsoleteKeys.has(key);
+      const entryKey = `${context}\u0000${msgid}\u0000${obsolete}`;
+
+      if (!entries.has(entryKey)) {
+        entries.set(entryKey, { context, msgid, msgstr: translations[key], keys: [], references: [], fuzzy: false, obsolete });
+      }
+
+      const entry = entries.get(entryKey);
+      entry.keys.push(key);
+      entry.references = Array.from(new Set([...entry.references, ...this.getSourceReferences(key)])).sort();
+      // A copied source value that still needs translating is marked fuzzy
+      if (needsTranslation.has(key) && entry.msgstr !== '') {
+        entry.fuzzy = true;
+      }
+    });
+
+    return Array.from(entries.values());
+  }
+
+  async saveToPot(outputPath) {
+    const outputDir = path.dirname(outputPath);
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const { translations } = this.buildSourceCatalog();
+    await fs.writeFile(outputPath, buildPot(this.buildGettextEntries(translations, translations)), 'utf8');
+    console.log(`💾 Saved ${Object.keys(translations).length} translations to ${outputPath} (POT)`);
+
+    return translations;
+  }
+
+  async saveToXliff(outputPath) {
+    const outputDir = path.dirname(outputPath);
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const version = XLIFF_FORMAT_VERSIONS[this.format];
+    const { translations } = this.buildSourceCatalog();
+    const sourceTexts = this.getXliffSourceTexts(translations);
+    const content = this.renderXliff(null, this.buildXliffUnits(sourceTexts));
+
+    await fs.writeFile(outputPath, content, 'utf8');
+    console.log(`💾 Saved ${Object.keys(translations).length} translations to ${outputPath} (XLIFF ${version})`);
+
+    return sourceTexts;
+  }
+
+  getLocaleOutputPath(outputPath, locale) {
+    if (outputPath.includes('{locale}')) {
+      return outputPath.split('{locale}').join(locale);
+    }
+
+    if (locale === this.options.locale) {
+      return outputPath;
+    }
+
+    // i18n/en.json -> i18n/de.json, i18n/messages.json -> i18n/messages.de.json
+    const extension = path.extname(outputPath);
+    const baseName = path.basename(outputPath, extension);
+    const fileName = baseName === this.options.locale ? `${locale}${extension}` : `${baseName}.${locale}${extension}`;
+    return path.join(path.dirname(outputPath), fileName);
+  }
+
+  getCatalogPath(outputPath, locale) {
+    if (this.framework === 'transloco') {
+      // The output is the translation root; each scope has its own <scope>/<locale>.json
+      return path.extname(outputPath) ? path.dirname(outputPath) : outputPath;
+    }
+
+    const localePath = this.getLocaleOutputPath(outputPath, locale);
+    if (this.format !== 'po') {
+      return localePath;
+    }
+
+    // gettext: a .pot template for the source locale, a .po catalog per target locale
+    const extension = locale === this.options.locale ? '.pot' : '.po';
+    const currentExtension = path.extname(localePath);
+    return localePath.substring(0, localePath.length - currentExtension.length) + extension;
+  }
+
+  async saveLocaleFiles(outputPath) {
+    const sourceOutputPath = this.getCatalogPath(outputPath, this.options.locale);
+    let sourceTranslations;
+    if (this.framework === 'transloco') {
+      sourceTranslations = await this.saveTranslocoScopes(sourceOutputPath);
+    } else if (this.format === 'json') {
+      sourceTranslations = await this.saveToJSON(sourceOutputPath);
+    } else if (this.format === 'po') {
+      sourceTranslations = await this.saveToPot(sourceOutputPath);
+    } else {
+      sourceTranslations = await this.saveToXliff(sourceOutputPath);
+    }
+
+    // Inline references only fit JSON catalogs; XLIFF and PO list their source files by themselves
+    if (this.references === 'sidecar') {
+      await this.saveReferences(sourceOutputPath, Object.keys(sourceTranslations));
+    }
+
+    // Obsolete keys kept in a merged source file are obsolete in the target locales too, not texts to translate
+    const currentTranslations = {};
+    Object.entries(sourceTranslations)
+      .filter(([key]) => this.extractedTexts.has(key))
+      .forEach(([key, value]) => {
+        currentTranslations[key] = value;
+      });
+
+    const targetLocales = (this.options.locales || []).filter(locale => locale !== this.options.locale);
+    for (const locale of targetLocales) {
+      await this.syncLocaleFile(this.getCatalogPath(outputPath, locale), locale, currentTranslations);
+    }
+
+    if (this.options.pseudoLocale) {
+      await this.savePseudoLocaleFile(this.getCatalogPath(outputPath, this.options.pseudoLocale), this.options.pseudoLocale, currentTranslations);
+    }
+  }
+
+  // Rebuilt from the source texts on every run; nobody edits a pseudo locale
+  async savePseudoLocaleFile(targetPath, locale, sourceTranslations) {
+    const translations = {};
+    Object.entries(sourceTranslations).forEach(([key, value]) => {
+      translations[key] = pseudoLocalize(value, this.pseudoExpansion);
+    });
+
+    if (this.framework === 'transloco') {
+      await this.writeTranslocoScopes(targetPath, locale, translations);
+    } else {
+      const summary = { added: Object.keys(translations).length, kept: 0, obsolete: 0, removed: 0 };
+      const content = this.buildLocaleCatalog(locale, translations, { sourceTranslations, existing: null, summary, needsTranslation: [], obsoleteKeys: new Set() });
+      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+      await fs.writeFile(targetPath, content, 'utf8');
+    }
+    console.log(`🔤 Saved pseudo locale ${locale} with ${Object.keys(translations).length} texts (${targetPath})`);
+  }
+
+  async syncLocaleFile(targetPath, locale, sourceTranslations) {
+    const existing = this.framework === 'transloco'
+      ? await this.readTranslocoScopes(targetPath, locale)
+      : await this.readCatalog(targetPath);
+    const existingTranslations = existing ? existing.translations : {};
+    const previouslyPending = new Set(existing ? existing.metadata.needsTranslation || [] : []);
+    const fillWithSource = this.options.targetFill === 'source';
+
+    const translations = {};
+    const needsTranslation = [];
+    const summary = { added: 0, kept: 0, obsolete: 0, removed: 0 };
+
+    Object.entries(sourceTranslations).forEach(([key, sourceValue]) => {
+      if (Object.prototype.hasOwnProperty.call(existingTranslations, key)) {
+        // Existing translations are never touched; pending ones stay pending until edited
+        const value = existingTranslations[key];
+        translations[key] = value;
+        if (value === '' || (previouslyPending.has(key) && value === sourceValue)) {
+          needsTranslation.push(key);
+        }
+        summary.kept++;
+      } else {
+        translations[key] = fillWithSource ? sourceValue : '';
+        needsTranslation.push(key);
+        summary.added++;
+      }
+    });
+
+    const obsoleteKeys = new Set();
+    Object.keys(existingTranslations)
+      .filter(key => !Object.prototype.hasOwnProperty.call(sourceTranslations, key))
+      .forEach(key => {
+        summary.obsolete++;
+        if (this.options.removeObsolete) {
+          summary.removed++;
+        } else {
+          translations[key] = existingTranslations[key];
+          obsoleteKeys.add(key);
+        }
+      });
+
+    if (this.framework === 'transloco') {
+      await this.writeTranslocoScopes(targetPath, locale, translations, existing ? existing.scopes : []);
+    } else {
+      const content = this.buildLocaleCatalog(locale, translations, { sourceTranslations, existing, summary, needsTranslation, obsoleteKeys });
+      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+      await fs.writeFile(targetPath, content, 'utf8');
+    }
+    console.log(`🌍 Synced ${locale}: ${summary.added} added, ${summary.kept} kept, ${needsTranslation.length} need translation (${targetPath})`);
+  }
+
+  buildLocaleCatalog(locale, translations, { sourceTranslations, existing, summary, needsTranslation, obsoleteKeys }) {
+    if (this.format === 'json') {
+      const output = {
+        locale,
+        translations: formatTranslations(translations, this.jsonStructure),
+        metadata: {
+          extractedAt: new Date().toISOString(),
+          sourceLocale: this.options.locale,
+          totalTexts: Object.keys(translations).length,
+          keyPrefix: this.options.keyPrefix,
+          sync: summary,
+          needsTranslation
+        }
+      };
+      // Translators work in the target files, so they get the references too
+      if (this.references === 'inline') {
+        output.references = this.buildReferences(Object.keys(translations));
+      }
+      return JSON.stringify(output, null, 2);
+    }
+
+    // Obsolete entries keep the source text they were exported with
+    const sourceTexts = { ...(existing ? existing.sourceTexts : {}), ...sourceTranslations };
+    if (this.format === 'po') {
+      const entries = this.buildGettextEntries(
+        translations, sourceTexts, new Set(needsTranslation), obsoleteKeys, existing ? existing.contexts : {}
+      );
+      return buildPo(entries, locale);
+    }
+
+    return this.renderXliff(locale, this.buildXliffUnits(translations, sourceTexts, new Set(needsTranslation)));
+  }
+
+  mergeWithExisting(translations) {
+    const summary = { added: 0, kept: 0, obsolete: 0, removed: 0 };
+
+    this.extractedTexts.forEach((value, key) => {
+      if (this.existingTranslations.has(key)) {
+        summary.kept++;
+      } else {
+        summary.added++;
+      }
+    });
+
+    // Keys that no longer appear in the source stay in the file unless removal was requested
+    const obsoleteKeys = Array.from(this.existingTranslations.keys())
+      .filter(key => !this.extractedTexts.has(key))
+      .sort();
+
+    summary.obsolete = obsoleteKeys.length;
+    if (this.options.removeObsolete) {
+      summary.removed = obsoleteKeys.length;
+    } else {
+      obsoleteKeys.forEach(key => {
+        translations[key] = this.existingTranslations.get(key);
+      });
+    }
+
+    return { summary, obsoleteKeys };
+  }
+}
+
+const KEY_PLACEHOLDER_PATTERN = /__ng_i18n_extract_key_(\d+)__/g;
+
+// Extracts a single file without knowing the keys: key requests and recorded texts are logged as events
+// and the rewritten source holds placeholders, so the main thread can hand out keys in file order later.
+class DeferredKeyExtractor extends TextExtractor {
+  analyze(filePath, content) {
+    this.events = [];
+    this.keyCount = 0;
+    this.i18nMessages = new Map();
+    this.setComponentContext(filePath);
+
+    const analysis = { events: this.events, messages: [], modified: null };
+    try {
+      const modified = filePath.endsWith('.html')
+        ? this.extractFromTemplate(content, filePath)
+        : this.extractFromTypeScript(content, filePath);
+      if (modified !== content) {
+        analysis.modified = modified;
+      }
+    } catch (error) {
+      // Texts recorded before the failure are kept, as in a serial run
+      analysis.error = error.message;
+    }
+    analysis.messages = Array.from(this.i18nMessages.entries());
+    return analysis;
+  }
+
+  generateKey(text) {
+    this.events.push({ type: 'key', text });
+    return `__ng_i18n_extract_key_${this.keyCount++}__`;
+  }
+
+  recordText(key, value, filePath, location = {}, translated = false) {
+    this.events.push({ type: 'record', key, value, location, translated });
   }
 }
 
 async function extractTexts(options) {
   const extractor = new TextExtractor(options);
-  await extractor.extractFromDirectory(options.srcPath);
-  await extractor.saveToJSON(options.outputPath);
+  if (options.merge) {
+    await extractor.loadExistingTranslations(extractor.getCatalogPath(options.outputPath, options.locale));
+  }
+  try {
+    await extractor.extractFromDirectory(options.srcPath);
+    if (options.dryRun) {
+      await extractor.reportDryRun(options.diffOutput);
+    } else {
+      await extractor.saveLocaleFiles(options.outputPath);
+    }
+  } finally {
+    // Sources rewritten before a failure must still be restorable
+    await extractor.saveBackupRun();
+  }
 }
 
-module.exports = { extractTexts, TextExtractor };
\ No newline at end of file
+module.exports = { extractTexts, TextExtractor, DeferredKeyExtractor, walkAst, KEY_STRATEGIES, TARGET_FILL_MODES, OUTPUT_FORMATS, FRAMEWORKS, TRANSLOCO_STYLES, JSON_STRUCTURES, DEDUPE_SCOPES, REFERENCE_MODES };
\ No newline at end of file
@@ -70,22 +70,76 @@ describe('TextExtractor', () => {
   });
 
   describe('generateKey', () => {
-    it('should generate a unique key with prefix and component context', () => {
+    it('should generate a content-based key with prefix and component context', () => {
       const extractor = new TextExtractor({ keyPrefix: 'test' });
       extractor.setComponentContext('/path/to/login.component.html');
+      expect(extractor.generateKey('Hello World')).toBe('test.login.hello_world_91d8fa');
+    });
+
+    it('should generate the same key for the same text and component on every run', () => {
+      const first = new TextExtractor({ keyPrefix: 'app' });
+      const second = new TextExtractor({ keyPrefix: 'app' });
+      second.generateKey('Something else entirely', '/path/to/header.component.html');
+
+      expect(first.generateKey('Hello', '/path/to/header.component.html'))
+        .toBe(second.generateKey('Hello', '/path/to/header.component.html'));
+    });
+
+    it('should hash component context and normalized whitespace into the key', () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app' });
+      const headerKey = extractor.generateKey('Hello   there', '/path/to/header.component.html');
+      const footerKey = extractor.generateKey('Hello there', '/path/to/footer.component.html');
+
+      expect(headerKey).toBe(extractor.generateKey('Hello there', '/path/to/header.component.html'));
+      expect(headerKey.replace('header', 'footer')).not.toBe(footerKey);
+    });
+
+    it('should trim trailing underscores from truncated slugs', () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app' });
+      extractor.setComponentContext('/path/to/test.component.html');
+      const key = extractor.generateKey('This is a very long text that should be truncated');
+      expect(key).toBe('app.test.this_is_a_very_long_text_acbbf9');
+    });
+
+    it('should fall back to a generic slug for text without latin characters', () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app' });
+      expect(extractor.generateKey('こんにちは')).toMatch(/^app\.text_[0-9a-f]{6}$/);
+    });
+
+    it('should add a suffix when the key is already taken', () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app' });
+      const first = extractor.generateKey('Cancel', '/path/to/dialog.component.html');
+      extractor.extractedTexts.set(first, 'Cancel');
+      const second = extractor.generateKey('Cancel', '/path/to/dialog.component.html');
+      extractor.extractedTexts.set(second, 'Cancel');
+
+      expect(second).toBe(`${first}_2`);
+      expect(extractor.generateKey('Cancel', '/path/to/dialog.component.html')).toBe(`${first}_3`);
+    });
+
+    it('should reject unknown key strategies', () => {
+      expect(() => new TextExtractor({ keyPrefix: 'app', keyStrategy: 'random' }))
+        .toThrow('Unknown key strategy "random". Expected one of: hash, counter');
+    });
+  });
+
+  describe('generateKey with counter strategy', () => {
+    it('should generate a unique key with prefix and component context', () => {
+      const extractor = new TextExtractor({ keyPrefix: 'test', keyStrategy: 'counter' });
+      extractor.setComponentContext('/path/to/login.component.html');
       const key = extractor.generateKey('Hello World');
       expect(key).toBe('test.login.hello_world_1');
     });
 
     it('should handle special characters', () => {
-      const extractor = new TextExtractor({ keyPrefix: 'app' });
+      const extractor = new TextExtractor({ keyPrefix: 'app', keyStrategy: 'counter' });
       extractor.setComponentContext('/path/to/user-profile.component.html');
       const key = extractor.generateKey('Hello, World!');
       expect(key).toBe('app.userProfile.hello_world_1');
     });
 
     it('should truncate long text', () => {
-      const extractor = new TextExtractor({ keyPrefix: 'app' });
+      const extractor = new TextExtractor({ keyPrefix: 'app', keyStrategy: 'counter' });
       extractor.setComponentContext('/path/to/test.component.html');
       const longText = 'This is a very long text that should be truncated';
       const key = extractor.generateKey(longText);
@@ -93,7 +147,7 @@ describe('TextExtractor', () => {
     });
 
     it('should increment counter for each key', () => {
-      const extractor = new TextExtractor({ keyPrefix: 'app' });
+      const extractor = new TextExtractor({ keyPrefix: 'app', keyStrategy: 'counter' });
       extractor.setComponentContext('/path/to/header.component.html');
       const key1 = extractor.generateKey('Hello');
       const key2 = extractor.generateKey('World');
@@ -102,13 +156,13 @@ describe('TextExtractor', () => {
     });
 
     it('should work without component context', () => {
-      const extractor = new TextExtractor({ keyPrefix: 'test' });
+      const extractor = new TextExtractor({ keyPrefix: 'test', keyStrategy: 'counter' });
       const key = extractor.generateKey('Hello World');
       expect(key).toBe('test.hello_world_1');
     });
 
     it('should use filePath parameter when provided', () => {
-      const extractor = new TextExtractor({ keyPrefix: 'test' });
+      const extractor = new TextExtractor({ keyPrefix: 'test', keyStrategy: 'counter' });
       const key = extractor.generateKey('Hello World', '/path/to/custom.component.html');
       expect(key).toBe('test.custom.hello_world_1');
     });
@@ -413,6 +467,175 @@ describe('TextExtractor', () => {
       expect(modifiedHtml).not.toContain('<strong>important</strong>');
     });
 
+    it('should only replace the extracted occurrence of a text', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'test', replace: true });
+      const htmlContent = [
+        '<!-- Save button -->',
+        '<button data-label="Save" title=\'Save\'>Save</button>',
+        '<p>Remember to Save</p>'
+      ].join('\n');
+
+      fs.readFile.mockResolvedValue(htmlContent);
+      fs.writeFile.mockResolvedValue();
+
+      await extractor.extractFromHtmlTemplate('/path/to/template.html');
+
+      const modifiedHtml = fs.writeFile.mock.calls[0][1];
+      const [buttonKey, paragraphKey, titleKey] = Array.from(extractor.extractedTexts.keys());
+      expect(modifiedHtml).toBe([
+        '<!-- Save button -->',
+        `<button data-label="Save" title="{{ '${titleKey}' | translate }}">{{ '${buttonKey}' | translate }}</button>`,
+        `<p>{{ '${paragraphKey}' | translate }}</p>`
+      ].join('\n'));
+    });
+
+    it('should replace text spanning several lines and keep the surrounding formatting', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'test', replace: true });
+      const htmlContent = '<div>\n  <p>\n    Click the button\n      to continue\n  </p>\n</div>\n';
+
+      fs.readFile.mockResolvedValue(htmlContent);
+      fs.writeFile.mockResolvedValue();
+
+      await extractor.extractFromHtmlTemplate('/path/to/template.html');
+
+      const [key] = extractor.extractedTexts.keys();
+      expect(fs.writeFile.mock.calls[0][1]).toBe(`<div>\n  <p>\n    {{ '${key}' | translate }}\n  </p>\n</div>\n`);
+    });
+
+    it('should not extract elements and attributes inside replaced HTML content', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'test', replace: true });
+      const htmlContent = '<li>Go to <a href="/home" title="Home page">home</a> now</li>';
+
+      fs.readFile.mockResolvedValue(htmlContent);
+      fs.writeFile.mockResolvedValue();
+
+      await extractor.extractFromHtmlTemplate('/path/to/template.html');
+
+      expect(Array.from(extractor.extractedTexts.values())).toEqual(['Go to <a href="/home" title="Home page">home</a> now']);
+      const [key] = extractor.extractedTexts.keys();
+      expect(fs.writeFile.mock.calls[0][1]).toBe(`<li>{{ '${key}' | translate }}</li>`);
+    });
+
+    it('should extract configured elements, attributes and string property bindings', async () => {
+      const extractor = new TextExtractor({
+        keyPrefix: 'test',
+        replace: true,
+        elements: ['mat-label', 'mat-error'],
+        attributes: ['matTooltip', 'heading', 'label']
+      });
+      const htmlContent = [
+        '<mat-label>Email address</mat-label>',
+        '<input matTooltip="Your work email" [placeholder]="\'Type here\'">',
+        '<app-card heading="Billing" [label]="\'Save draft\'" [subtitle]="\'Not configured\'"></app-card>'
+      ].join('\n');
+
+      fs.readFile.mockResolvedValue(htmlContent);
+      fs.writeFile.mockResolvedValue();
+
+      await extractor.extractFromHtmlTemplate('/path/to/template.html');
+
+      const keys = {};
+      extractor.extractedTexts.forEach((value, key) => { keys[value] = key; });
+      expect(Object.keys(keys)).toEqual(['Email address', 'Type here', 'Your work email', 'Billing', 'Save draft']);
+      expect(fs.writeFile.mock.calls[0][1]).toBe([
+        `<mat-label>{{ '${keys['Email address']}' | translate }}</mat-label>`,
+        `<input matTooltip="{{ '${keys['Your work email']}' | translate }}" [placeholder]="'${keys['Type here']}' | translate">`,
+        `<app-card heading="{{ '${keys.Billing}' | translate }}" [label]="'${keys['Save draft']}' | translate" [subtitle]="'Not configured'"></app-card>`
+      ].join('\n'));
+    });
+
+    it('should drop built-in elements and attributes prefixed with !', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'test', elements: ['!i', 'mat-label'], attributes: ['!title'] });
+      fs.readFile.mockResolvedValue([
+        '<i class="material-icons">home</i>',
+        '<mat-label>Email address</mat-label>',
+        '<button title="Go home">Home page</button>'
+      ].join('\n'));
+
+      await extractor.extractFromHtmlTemplate('/path/to/template.html');
+
+      expect(extractor.contentElements).not.toContain('i');
+      expect(extractor.contentElements).toContain('mat-label');
+      expect(extractor.translatableAttributes).toEqual(['alt', 'placeholder', 'aria-label']);
+      expect(Array.from(extractor.extractedTexts.values())).toEqual(['Home page', 'Email address']);
+    });
+
+    it('should skip elements marked with i18n-ignore and ignored comment ranges', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'test', replace: true });
+      const htmlContent = [
+        '<h1 i18n-ignore>Acme Cloud</h1>',
+        '<div i18n-ignore><p>Code sample</p><input placeholder="npm install"></div>',
+        '<!-- i18n-ignore-start -->',
+        '<p>Legal text in English</p>',
+        '<button title="Terms">Terms</button>',
+        '<!-- i18n-ignore-end -->',
+        '<p>Welcome aboard</p>'
+      ].join('\n');
+
+      fs.readFile.mockResolvedValue(htmlContent);
+      fs.writeFile.mockResolvedValue();
+
+      await extractor.extractFromHtmlTemplate('/path/to/template.html');
+
+      expect(Array.from(extractor.extractedTexts.values())).toEqual(['Welcome aboard']);
+      const [key] = extractor.extractedTexts.keys();
+      expect(fs.writeFile.mock.calls[0][1]).toBe(htmlContent.replace('Welcome aboard', `{{ '${key}' | translate }}`));
+    });
+
+    it('should extend an ignored comment range without an end marker to the end of the template', () => {
+      const extractor = new TextExtractor({ keyPrefix: 'test' });
+      const content = '<p>A</p><!-- i18n-ignore-start --><p>B</p><!--i18n-ignore-end--><!-- i18n-ignore-start --><p>C</p>';
+
+      expect(extractor.findIgnoredRanges(content)).toEqual([
+        { start: 8, end: 64 },
+        { start: 64, end: content.length }
+      ]);
+    });
+
+    it('should only treat string literal bindings as display text', () => {
+      const extractor = new TextExtractor({ keyPrefix: 'test' });
+
+      expect(extractor.parseStringLiteral("'Save draft'")).toBe('Save draft');
+      expect(extractor.parseStringLiteral(' "It\'s \\"done\\"" ')).toBe('It\'s "done"');
+      expect(extractor.parseStringLiteral("'a' + b")).toBeNull();
+      expect(extractor.parseStringLiteral('title')).toBeNull();
+    });
+
+    it('should extract text with interpolations as parameterized messages', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'test', replace: true });
+      const htmlContent = `
+        <div>
+          <h1>Welcome back, {{ user.name }}!</h1>
+          <p>{{ user.name }} and {{ admin.name }} paid {{ order.total | currency }}, {{ user.name }}</p>
+          <span>{{ user.name }}</span>
+        </div>
+      `;
+
+      fs.readFile.mockResolvedValue(htmlContent);
+      fs.writeFile.mockResolvedValue();
+
+      await extractor.extractFromHtmlTemplate('/path/to/template.html');
+
+      expect(Array.from(extractor.extractedTexts.values())).toEqual([
+        'Welcome back, {{name}}!',
+        '{{name}} and {{name2}} paid {{total}}, {{name}}'
+      ]);
+
+      const [welcomeKey, paidKey] = Array.from(extractor.extractedTexts.keys());
+      const modifiedHtml = fs.writeFile.mock.calls[0][1];
+      expect(modifiedHtml).toContain(`<h1>{{ '${welcomeKey}' | translate: { name: user.name } }}</h1>`);
+      expect(modifiedHtml).toContain(`<p>{{ '${paidKey}' | translate: { name: user.name, name2: admin.name, total: (order.total | currency) } }}</p>`);
+      expect(modifiedHtml).toContain('<span>{{ user.name }}</span>');
+    });
+
+    it('should not extract parameterized messages again once replaced', async () => {
+      fs.readFile.mockResolvedValue(`<h1>{{ 'test.welcome_back_1' | translate: { name: user.name } }}</h1>`);
+
+      await extractor.extractFromHtmlTemplate('/path/to/template.html');
+
+      expect(extractor.extractedTexts.size).toBe(0);
+    });
+
     it('should handle file read errors gracefully', async () => {
       fs.readFile.mockRejectedValue(new Error('File not found'));
       
@@ -430,21 +653,454 @@ describe('TextExtractor', () => {
   });
 
 
-  describe('extractFromDirectory', () => {
+  describe('extractFromTypeScriptFile', () => {
     let extractor;
 
     beforeEach(() => {
       extractor = new TextExtractor({ keyPrefix: 'test', replace: false });
     });
 
-    it('should process HTML files in directory', async () => {
-      glob.sync.mockImplementation((pattern) => {
-        if (pattern === '**/*.html') {
-          return ['component.html', 'template.html'];
+    it('should extract user-facing string literals with component-scoped keys', async () => {
+      fs.readFile.mockResolvedValue(`
+        export class UserProfileComponent {
+          title = 'Account settings';
+
+          save() {
+            this.snackBar.open('Your changes have been saved');
+            this.dialog.open(ConfirmComponent, { data: { title: 'Delete this item?' } });
+            this.hint = \`Press enter to continue\`;
+          }
+        }
+      `);
+
+      await extractor.extractFromTypeScriptFile('/path/to/user-profile.component.ts');
+
+      const entries = Array.from(extractor.extractedTexts.entries());
+      expect(entries.map(([, value]) => value)).toEqual([
+        'Account settings',
+        'Your changes have been saved',
+        'Delete this item?',
+        'Press enter to continue'
+      ]);
+      entries.forEach(([key]) => expect(key.startsWith('test.userProfile.')).toBe(true));
+    });
+
+    it('should skip imports, decorators and console output', async () => {
+      fs.readFile.mockResolvedValue(`
+        import { Component } from '@angular/core';
+        export { helper } from './some helper file';
+        const legacy = require('legacy module here');
+
+        @Component({ selector: 'app-demo', template: 'Demo template text' })
+        export class DemoComponent {
+          log() {
+            console.log('Component has been initialized');
+          }
+        }
+      `);
+
+      await extractor.extractFromTypeScriptFile('/path/to/demo.component.ts');
+
+      expect(extractor.extractedTexts.size).toBe(0);
+    });
+
+    it('should skip type literals, property names, lookups and comparisons', async () => {
+      fs.readFile.mockResolvedValue(`
+        type Mode = 'edit mode' | 'view mode';
+        const labels = { 'Display name': 1 };
+        if (mode === 'edit mode') {}
+        switch (mode) { case 'view mode': break; }
+        const value = labels['Display name'];
+      `);
+
+      await extractor.extractFromTypeScriptFile('/path/to/demo.component.ts');
+
+      expect(extractor.extractedTexts.size).toBe(0);
+    });
+
+    it('should only keep user-facing error messages from throw statements', async () => {
+      fs.readFile.mockResolvedValue(`
+        function validate(user) {
+          if (!user) throw new Error('Please enter a valid email address');
+          throw new Error('TypeError: undefined user');
         }
-        return [];
+      `);
+
+      await extractor.extractFromTypeScriptFile('/path/to/auth.service.ts');
+
+      expect(Array.from(extractor.extractedTexts.values())).toEqual(['Please enter a valid email address']);
+    });
+
+    it('should skip template literals with expressions', async () => {
+      fs.readFile.mockResolvedValue('const url = `assets/i18n/${lang}.json`; const msg = `Hello ${name}, welcome back`;');
+
+      await extractor.extractFromTypeScriptFile('/path/to/translate.service.ts');
+
+      expect(extractor.extractedTexts.size).toBe(0);
+    });
+
+    describe('with replace enabled', () => {
+      const rewrite = async (source, filePath = '/path/to/demo.component.ts') => {
+        const replacingExtractor = new TextExtractor({ keyPrefix: 'test', replace: true });
+        fs.readFile.mockResolvedValue(source);
+        fs.writeFile.mockResolvedValue();
+
+        await replacingExtractor.extractFromTypeScriptFile(filePath);
+
+        return fs.writeFile.mock.calls.length > 0 ? fs.writeFile.mock.calls[0][1] : null;
+      };
+
+      it('should replace literals and add a constructor parameter and import', async () => {
+        const output = await rewrite([
+          "import { Component } from '@angular/core';",
+          '',
+          "@Component({ selector: 'app-demo' })",
+          'export class DemoComponent {',
+          '  constructor(',
+          '    private snackBar: MatSnackBar',
+          '  ) {}',
+          '',
+          '  save() {',
+          "    this.snackBar.open('Your changes have been saved');",
+          '  }',
+          '}'
+        ].join('\n'));
+
+        expect(output).toBe([
+          "import { Component } from '@angular/core';",
+          "import { TranslateService } from '@ngx-translate/core';",
+          '',
+          "@Component({ selector: 'app-demo' })",
+          'export class DemoComponent {',
+          '  constructor(',
+          '    private snackBar: MatSnackBar,',
+          '    private translate: TranslateService',
+          '  ) {}',
+          '',
+          '  save() {',
+          "    this.snackBar.open(this.translate.instant('test.demo.your_changes_have_been_sa_761892'));",
+          '  }',
+          '}'
+        ].join('\n'));
+      });
+
+      it('should add a constructor when the class has none', async () => {
+        const output = await rewrite([
+          "@Component({ selector: 'app-demo' })",
+          'export class DemoComponent {',
+          "  title = 'Account settings';",
+          '}'
+        ].join('\n'));
+
+        expect(output).toBe([
+          "import { TranslateService } from '@ngx-translate/core';",
+          '',
+          "@Component({ selector: 'app-demo' })",
+          'export class DemoComponent {',
+          "  title = this.translate.instant('test.demo.account_settings_0638f2');",
+          '',
+          '  constructor(private translate: TranslateService) {}',
+          '}'
+        ].join('\n'));
+      });
+
+      it('should reuse an existing TranslateService injection', async () => {
+        const output = await rewrite([
+          "import { TranslateService } from '@ngx-translate/core';",
+          "@Component({ selector: 'app-demo' })",
+          'export class DemoComponent {',
+          '  constructor(private i18n: TranslateService) {}',
+          "  notify() { alert('Profile updated successfully'); }",
+          '}'
+        ].join('\n'));
+
+        expect(output).toContain("alert(this.i18n.instant('test.demo.profile_updated_successfu_4ecbf0'))");
+        expect(output.match(/TranslateService/g)).toHaveLength(2);
+      });
+
+      it('should use an inject() field for classes that already use inject()', async () => {
+        const output = await rewrite([
+          "import { Component, inject } from '@angular/core';",
+          "@Component({ selector: 'app-demo' })",
+          'export class DemoComponent {',
+          '  private http = inject(HttpClient);',
+          "  label = 'Standalone label text';",
+          '}'
+        ].join('\n'));
+
+        expect(output).toContain([
+          "@Component({ selector: 'app-demo' })",
+          'export class DemoComponent {',
+          '  private readonly translate = inject(TranslateService);',
+          '',
+          '  private http = inject(HttpClient);',
+          "  label = this.translate.instant('test.demo.standalone_label_text_b26e45');"
+        ].join('\n'));
+        expect(output).not.toContain('constructor');
+      });
+
+      it('should inject into functional code and import inject', async () => {
+        const output = await rewrite([
+          "import { CanActivateFn } from '@angular/router';",
+          'export const leaveGuard: CanActivateFn = () => {',
+          "  return confirm('Are you sure you want to leave?');",
+          '};'
+        ].join('\n'), '/path/to/leave.guard.ts');
+
+        expect(output).toBe([
+          "import { CanActivateFn } from '@angular/router';",
+          "import { TranslateService } from '@ngx-translate/core';",
+          "import { inject } from '@angular/core';",
+          'export const leaveGuard: CanActivateFn = () => {',
+          '  const translate = inject(TranslateService);',
+          "  return confirm(translate.instant('test.leave.are_you_sure_you_want_to_d71cd9'));",
+          '};'
+        ].join('\n'));
+      });
+
+      it('should use get() for observable contexts', async () => {
+        const output = await rewrite([
+          "@Component({ selector: 'app-demo' })",
+          'export class DemoComponent {',
+          "  title$ = 'Dashboard overview';",
+          "  heading$ = of('Loading your profile');",
+          '  constructor(private translate: TranslateService) {}',
+          '}'
+        ].join('\n'));
+
+        expect(output).toContain("title$ = this.translate.get('test.demo.dashboard_overview_c4d269');");
+        expect(output).toContain("heading$ = this.translate.get('test.demo.loading_your_profile_0d7af0');");
+      });
+
+      it('should leave literals without an injection context untouched', async () => {
+        const output = await rewrite([
+          "const BANNER = 'Module level message';",
+          "@Component({ selector: 'app-demo' })",
+          'export class DemoComponent {',
+          "  static HELP = 'Static help text here';",
+          "  run() { [1].forEach(function () { alert('Inside plain function'); }); }",
+          '}'
+        ].join('\n'));
+
+        expect(output).toBeNull();
+      });
+
+      it('should leave classes without an Angular decorator and untyped functions untouched', async () => {
+        const output = await rewrite([
+          'export class Empty {',
+          "  value = 'Plain class message';",
+          '}',
+          'export function helper() {',
+          "  return 'Plain helper message';",
+          '}',
+          'export const check = () => {',
+          "  return confirm('Untyped arrow message');",
+          '};'
+        ].join('\n'));
+
+        expect(output).toBeNull();
+      });
+
+      it('should inject into services and typed resolvers', async () => {
+        const output = await rewrite([
+          "import { Injectable } from '@angular/core';",
+          '@Injectable({ providedIn: \'root\' })',
+          'export class NoticeService {',
+          "  notify() { alert('Your session has expired'); }",
+          '}',
+          'export const titleResolver: ResolveFn<string> = () => {',
+          "  return 'Account overview page';",
+          '};'
+        ].join('\n'), '/path/to/notice.service.ts');
+
+        expect(output).toContain("alert(this.translate.instant('test.notice.your_session_has_expired_");
+        expect(output).toContain('  const translate = inject(TranslateService);');
+      });
+
+      it('should add the imports of a file without imports as one block', async () => {
+        const output = await rewrite([
+          'export const welcomeGuard: CanActivateFn = () => {',
+          "  return confirm('Welcome back to the app');",
+          '};'
+        ].join('\n'), '/path/to/welcome.guard.ts');
+
+        expect(output.startsWith([
+          "import { TranslateService } from '@ngx-translate/core';",
+          "import { inject } from '@angular/core';",
+          '',
+          'export const welcomeGuard'
+        ].join('\n'))).toBe(true);
+      });
+    });
+
+    it('should skip literals on the line after an i18n-ignore-next-line comment', async () => {
+      fs.readFile.mockResolvedValue([
+        'export class FooterComponent {',
+        '  // i18n-ignore-next-line',
+        "  brand = 'Acme Cloud Platform';",
+        "  tagline = 'Built for teams';",
+        '}'
+      ].join('\n'));
+
+      await extractor.extractFromTypeScriptFile('/path/to/footer.component.ts');
+
+      expect(Array.from(extractor.extractedTexts.values())).toEqual(['Built for teams']);
+    });
+
+    describe('inline templates', () => {
+      const component = [
+        "import { Component } from '@angular/core';",
+        '',
+        '@Component({',
+        "  selector: 'app-hello',",
+        '  template: `',
+        '    <h1>Hello there</h1>',
+        '    <input placeholder="Your name">`,',
+        '  styles: [`h1 { color: red; }`]',
+        '})',
+        'export class HelloComponent {}'
+      ].join('\n');
+
+      it('should extract inline templates with locations in the TypeScript file', async () => {
+        fs.readFile.mockResolvedValue(component);
+
+        await extractor.extractFromTypeScriptFile('/path/to/hello.component.ts');
+
+        expect(Array.from(extractor.extractedTexts.values())).toEqual(['Hello there', 'Your name']);
+        expect(Array.from(extractor.textSources.values()).map(([source]) => source)).toEqual([
+          { file: '/path/to/hello.component.ts', line: 6, column: 5, element: 'h1', attribute: null },
+          { file: '/path/to/hello.component.ts', line: 7, column: 12, element: 'input', attribute: 'placeholder' }
+        ]);
+      });
+
+      it('should rewrite only the template literal', async () => {
+        const replacer = new TextExtractor({ keyPrefix: 'test', replace: true });
+        fs.readFile.mockResolvedValue(component);
+        fs.writeFile.mockResolvedValue();
+
+        await replacer.extractFromTypeScriptFile('/path/to/hello.component.ts');
+
+        const [headingKey, placeholderKey] = replacer.extractedTexts.keys();
+        expect(fs.writeFile.mock.calls[0][1]).toBe(component
+          .replace('Hello there', `{{ '${headingKey}' | translate }}`)
+          .replace('"Your name"', `"{{ '${placeholderKey}' | translate }}"`));
       });
 
+      it('should add the translation module to the imports of standalone components', async () => {
+        const replacer = new TextExtractor({ keyPrefix: 'test', replace: true });
+        const standalone = [
+          "import { Component } from '@angular/core';",
+          "import { CommonModule } from '@angular/common';",
+          '',
+          '@Component({',
+          "  selector: 'app-hello',",
+          '  standalone: true,',
+          '  imports: [CommonModule],',
+          '  template: `<h1>Hello there</h1>`',
+          '})',
+          'export class HelloComponent {}',
+          '',
+          '@Component({',
+          "  selector: 'app-bye',",
+          '  standalone: true,',
+          '  template: `<h1>See you soon</h1>`',
+          '})',
+          'export class ByeComponent {}'
+        ].join('\n');
+        fs.readFile.mockResolvedValue(standalone);
+        fs.writeFile.mockResolvedValue();
+
+        await replacer.extractFromTypeScriptFile('/path/to/hello.component.ts');
+
+        const [helloKey, byeKey] = replacer.extractedTexts.keys();
+        expect(fs.writeFile.mock.calls[0][1]).toBe(standalone
+          .replace("import { CommonModule } from '@angular/common';", "import { CommonModule } from '@angular/common';\nimport { TranslateModule } from '@ngx-translate/core';")
+          .replace('imports: [CommonModule]', 'imports: [CommonModule, TranslateModule]')
+          .replace('Hello there', `{{ '${helloKey}' | translate }}`)
+          .replace("  standalone: true,\n  template: `<h1>See you soon", "  standalone: true,\n  imports: [TranslateModule],\n  template: `<h1>See you soon")
+          .replace('See you soon', `{{ '${byeKey}' | translate }}`));
+      });
+
+      it('should leave components that already import the pipe and NgModule components alone', async () => {
+        const replacer = new TextExtractor({ keyPrefix: 'test', replace: true });
+        fs.readFile.mockResolvedValue([
+          "import { TranslatePipe } from '@ngx-translate/core';",
+          '@Component({ standalone: true, imports: [TranslatePipe], template: `<h1>Hello there</h1>` })',
+          'export class HelloComponent {}',
+          '@Component({ template: `<h1>See you soon</h1>` })',
+          'export class ByeComponent {}'
+        ].join('\n'));
+        fs.writeFile.mockResolvedValue();
+
+        await replacer.extractFromTypeScriptFile('/path/to/hello.component.ts');
+
+        const output = fs.writeFile.mock.calls[0][1];
+        expect(output).not.toContain('TranslateModule');
+        expect(output).toContain('imports: [TranslatePipe], template');
+      });
+
+      it('should wrap only the content of inline templates for the Transloco directive style', async () => {
+        const replacer = new TextExtractor({ keyPrefix: 'test', framework: 'transloco', translocoStyle: 'directive', replace: true });
+        fs.readFile.mockResolvedValue(component);
+        fs.writeFile.mockResolvedValue();
+
+        await replacer.extractFromTypeScriptFile('/path/to/hello.component.ts');
+
+        const [headingKey, placeholderKey] = replacer.extractedTexts.keys();
+        expect(fs.writeFile.mock.calls[0][1]).toBe(component.replace([
+          '  template: `',
+          '    <h1>Hello there</h1>',
+          '    <input placeholder="Your name">`,'
+        ].join('\n'), [
+          '  template: `',
+          '    <ng-container *transloco="let t">',
+          `    <h1>{{ t('${headingKey}') }}</h1>`,
+          `    <input placeholder="{{ t('${placeholderKey}') }}">`,
+          '    </ng-container>`,'
+        ].join('\n')));
+      });
+
+      it('should skip templates with ${} expressions and template properties outside @Component', async () => {
+        fs.readFile.mockResolvedValue([
+          '@Component({ template: `<h1>Hello ${name}</h1>` })',
+          'export class A {}',
+          'const config = { template: `<p>Not a component</p>` };'
+        ].join('\n'));
+
+        await extractor.extractFromTypeScriptFile('/path/to/a.component.ts');
+
+        // The second one is an ordinary string literal, not an HTML template
+        expect(Array.from(extractor.extractedTexts.values())).toEqual(['<p>Not a component</p>']);
+      });
+    });
+
+    it('should handle file read errors gracefully', async () => {
+      fs.readFile.mockRejectedValue(new Error('File not found'));
+
+      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+      await extractor.extractFromTypeScriptFile('/path/to/missing.component.ts');
+
+      expect(consoleSpy).toHaveBeenCalledWith(
+        'Warning: Could not process TypeScript file /path/to/missing.component.ts:',
+        'File not found'
+      );
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+
+  describe('extractFromDirectory', () => {
+    let extractor;
+
+    beforeEach(() => {
+      extractor = new TextExtractor({ keyPrefix: 'test', replace: false });
+    });
+
+    it('should process HTML files in directory', async () => {
+      glob.sync.mockReturnValue(['component.html', 'template.html']);
+
       fs.readFile.mockResolvedValue('<div>Test content</div>');
       
       const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
@@ -456,6 +1112,54 @@ describe('TextExtractor', () => {
       
       consoleSpy.mockRestore();
     });
+
+    it('should process TypeScript files and ignore specs, declarations and node_modules', async () => {
+      glob.sync.mockReturnValue(['app.component.ts']);
+
+      fs.readFile.mockResolvedValue("export class AppComponent { title = 'Welcome aboard'; }");
+
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      await extractor.extractFromDirectory('/src');
+
+      expect(glob.sync).toHaveBeenCalledWith(['**/*.html', '**/*.ts'], {
+        cwd: '/src',
+        ignore: ['**/*.spec.ts', '**/*.d.ts', '**/node_modules/**'],
+        nodir: true
+      });
+      expect(consoleSpy).toHaveBeenCalledWith('Found 1 TypeScript files');
+      expect(Array.from(extractor.extractedTexts.values())).toEqual(['Welcome aboard']);
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should use the configured include and exclude globs', async () => {
+      const configured = new TextExtractor({
+        keyPrefix: 'test',
+        include: ['app/**/*.html', 'app/**/*.ts'],
+        exclude: ['**/*.stories.ts', '**/fixtures/**']
+      });
+      glob.sync.mockReturnValue(['app/b.component.ts', 'app/a.component.html']);
+      fs.readFile.mockResolvedValueOnce('<p>First</p>');
+      fs.readFile.mockResolvedValueOnce("export class B { title = 'Second one'; }");
+
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      await configured.extractFromDirectory('/src');
+
+      expect(glob.sync).toHaveBeenCalledWith(['app/**/*.html', 'app/**/*.ts'], {
+        cwd: '/src',
+        ignore: ['**/*.stories.ts', '**/fixtures/**', '**/*.spec.ts', '**/*.d.ts', '**/node_modules/**'],
+        nodir: true
+      });
+      expect(fs.readFile.mock.calls.map(([file]) => file)).toEqual([
+        path.join('/src', 'app/a.component.html'),
+        path.join('/src', 'app/b.component.ts')
+      ]);
+      expect(Array.from(configured.extractedTexts.values())).toEqual(['First', 'Second one']);
+
+      consoleSpy.mockRestore();
+    });
   });
 
   describe('saveToJSON', () => {
@@ -495,60 +1199,1142 @@ describe('TextExtractor', () => {
     });
   });
 
-  describe('containsTranslatableText', () => {
-    let extractor;
+  describe('merge mode', () => {
+    const existingFile = (translations) => JSON.stringify({ locale: 'en', translations, metadata: {} });
 
     beforeEach(() => {
-      extractor = new TextExtractor({ keyPrefix: 'test' });
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockResolvedValue();
+      jest.spyOn(console, 'log').mockImplementation();
     });
 
-    it('should return true for HTML with translatable text', () => {
-      expect(extractor.containsTranslatableText('This is <strong>important</strong> text')).toBe(true);
-      expect(extractor.containsTranslatableText('Click <em>here</em> to continue')).toBe(true);
-      expect(extractor.containsTranslatableText('Welcome to <span>our app</span>')).toBe(true);
+    afterEach(() => {
+      console.log.mockRestore();
     });
 
-    it('should return false for HTML without translatable text', () => {
-      expect(extractor.containsTranslatableText('<div></div>')).toBe(false);
-      expect(extractor.containsTranslatableText('<span>123</span>')).toBe(false);
-      expect(extractor.containsTranslatableText('<a href="https://example.com">https://example.com</a>')).toBe(false);
-    });
+    it('should treat a missing output file as empty', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', merge: true });
+      fs.readFile.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' }));
 
-    it('should return false for empty or whitespace-only HTML', () => {
-      expect(extractor.containsTranslatableText('')).toBe(false);
-      expect(extractor.containsTranslatableText('   ')).toBe(false);
-      expect(extractor.containsTranslatableText('<span>   </span>')).toBe(false);
+      const existing = await extractor.loadExistingTranslations('/output/messages.json');
+
+      expect(existing.size).toBe(0);
     });
 
-    it('should handle complex nested HTML', () => {
-      const complexHtml = `
-        This is a <strong>complex</strong> paragraph with 
-        <em>multiple</em> <span class="highlight">nested</span> elements.
-      `;
-      expect(extractor.containsTranslatableText(complexHtml)).toBe(true);
+    it('should report unreadable output files', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', merge: true });
+      fs.readFile.mockResolvedValue('{ not json');
+
+      await expect(extractor.loadExistingTranslations('/output/messages.json'))
+        .rejects.toThrow('Could not parse existing translations in /output/messages.json');
     });
-  });
 
-  describe('escapeRegExp', () => {
-    let extractor;
+    it('should keep existing keys for unchanged text', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', keyStrategy: 'counter', merge: true });
+      fs.readFile.mockResolvedValue(existingFile({
+        'app.login.sign_in_7': 'Sign in',
+        'app.header.sign_in_8': 'Sign in'
+      }));
+      await extractor.loadExistingTranslations('/output/messages.json');
 
-    beforeEach(() => {
-      extractor = new TextExtractor({ keyPrefix: 'test' });
+      expect(extractor.generateKey('Sign in', '/path/to/login.component.html')).toBe('app.login.sign_in_7');
+      expect(extractor.generateKey('Sign in', '/path/to/footer.component.html')).toBe('app.footer.sign_in_1');
     });
 
-    it('should escape special regex characters', () => {
-      expect(extractor.escapeRegExp('hello.world')).toBe('hello\\.world');
-      expect(extractor.escapeRegExp('test[123]')).toBe('test\\[123\\]');
-      expect(extractor.escapeRegExp('a*b+c?')).toBe('a\\*b\\+c\\?');
-      expect(extractor.escapeRegExp('(test)')).toBe('\\(test\\)');
+    it('should not hand out an existing key for different text', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', keyStrategy: 'counter', merge: true });
+      fs.readFile.mockResolvedValue(existingFile({ 'app.login.sign_in_1': 'Sign in now' }));
+      await extractor.loadExistingTranslations('/output/messages.json');
+
+      expect(extractor.generateKey('Sign in', '/path/to/login.component.html')).toBe('app.login.sign_in_2');
     });
-  });
-});
 
-describe('extractTexts function', () => {
+    it('should summarize added, kept and obsolete keys and keep obsolete entries', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', merge: true });
+      fs.readFile.mockResolvedValue(existingFile({
+        'app.login.sign_in_1': 'Sign in',
+        'app.login.old_text_2': 'Old text'
+      }));
+      await extractor.loadExistingTranslations('/output/messages.json');
+      extractor.extractedTexts.set(extractor.generateKey('Sign in', '/path/to/login.component.html'), 'Sign in');
+      extractor.extractedTexts.set(extractor.generateKey('Register', '/path/to/login.component.html'), 'Register');
+
+      await extractor.saveToJSON('/output/messages.json');
+
+      const output = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(output.translations['app.login.sign_in_1']).toBe('Sign in');
+      expect(output.translations['app.login.old_text_2']).toBe('Old text');
+      expect(output.metadata.totalTexts).toBe(3);
+      expect(output.metadata.merge).toEqual({ added: 1, kept: 1, obsolete: 1, removed: 0 });
+      expect(output.metadata.obsoleteKeys).toEqual(['app.login.old_text_2']);
+    });
+
+    it('should drop obsolete keys when removeObsolete is set', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', merge: true, removeObsolete: true });
+      fs.readFile.mockResolvedValue(existingFile({ 'app.login.old_text_2': 'Old text' }));
+      await extractor.loadExistingTranslations('/output/messages.json');
+
+      await extractor.saveToJSON('/output/messages.json');
+
+      const output = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(output.translations).toEqual({});
+      expect(output.metadata.merge).toEqual({ added: 0, kept: 0, obsolete: 1, removed: 1 });
+      expect(output.metadata.obsoleteKeys).toBeUndefined();
+    });
+  });
+
+  describe('multi-locale output', () => {
+    beforeEach(() => {
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockResolvedValue();
+      jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    const writtenFile = (filePath) => {
+      const call = fs.writeFile.mock.calls.find(([target]) => target === filePath);
+      return call ? JSON.parse(call[1]) : null;
+    };
+
+    it('should derive per-locale output paths', () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en' });
+
+      expect(extractor.getLocaleOutputPath('/i18n/en.json', 'en')).toBe('/i18n/en.json');
+      expect(extractor.getLocaleOutputPath('/i18n/en.json', 'de')).toBe('/i18n/de.json');
+      expect(extractor.getLocaleOutputPath('/i18n/messages.json', 'de')).toBe('/i18n/messages.de.json');
+      expect(extractor.getLocaleOutputPath('/i18n/{locale}/app.json', 'ja')).toBe('/i18n/ja/app.json');
+      expect(extractor.getLocaleOutputPath('/i18n/{locale}/app.json', 'en')).toBe('/i18n/en/app.json');
+    });
+
+    it('should reject unknown target fill modes', () => {
+      expect(() => new TextExtractor({ keyPrefix: 'app', targetFill: 'machine' }))
+        .toThrow('Unknown target fill mode "machine". Expected one of: empty, source');
+    });
+
+    it('should write the source file and empty target entries for new keys', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', locales: ['en', 'de', 'fr'] });
+      extractor.extractedTexts.set('app.save_1', 'Save');
+      fs.readFile.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' }));
+
+      await extractor.saveLocaleFiles('/i18n/en.json');
+
+      expect(fs.writeFile).toHaveBeenCalledTimes(3);
+      expect(writtenFile('/i18n/en.json').translations).toEqual({ 'app.save_1': 'Save' });
+
+      const german = writtenFile('/i18n/de.json');
+      expect(german.locale).toBe('de');
+      expect(german.translations).toEqual({ 'app.save_1': '' });
+      expect(german.metadata.sourceLocale).toBe('en');
+      expect(german.metadata.needsTranslation).toEqual(['app.save_1']);
+      expect(writtenFile('/i18n/fr.json').translations).toEqual({ 'app.save_1': '' });
+    });
+
+    it('should copy source values for new keys when targetFill is source', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', targetFill: 'source' });
+      fs.readFile.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' }));
+
+      await extractor.syncLocaleFile('/i18n/de.json', 'de', { 'app.save_1': 'Save' });
+
+      const german = writtenFile('/i18n/de.json');
+      expect(german.translations).toEqual({ 'app.save_1': 'Save' });
+      expect(german.metadata.needsTranslation).toEqual(['app.save_1']);
+    });
+
+    it('should leave existing translations alone and keep pending keys pending', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', targetFill: 'source' });
+      fs.readFile.mockResolvedValue(JSON.stringify({
+        locale: 'de',
+        translations: {
+          'app.save_1': 'Speichern',
+          'app.cancel_2': 'Cancel',
+          'app.removed_3': 'Entfernt'
+        },
+        metadata: { needsTranslation: ['app.cancel_2'] }
+      }));
+
+      await extractor.syncLocaleFile('/i18n/de.json', 'de', {
+        'app.save_1': 'Save',
+        'app.cancel_2': 'Cancel',
+        'app.delete_4': 'Delete'
+      });
+
+      const german = writtenFile('/i18n/de.json');
+      expect(german.translations).toEqual({
+        'app.save_1': 'Speichern',
+        'app.cancel_2': 'Cancel',
+        'app.delete_4': 'Delete',
+        'app.removed_3': 'Entfernt'
+      });
+      expect(german.metadata.needsTranslation).toEqual(['app.cancel_2', 'app.delete_4']);
+      expect(german.metadata.sync).toEqual({ added: 1, kept: 2, obsolete: 1, removed: 0 });
+    });
+
+    it('should drop keys missing from the source when removeObsolete is set', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', removeObsolete: true });
+      fs.readFile.mockResolvedValue(JSON.stringify({ translations: { 'app.removed_3': 'Entfernt' } }));
+
+      await extractor.syncLocaleFile('/i18n/de.json', 'de', {});
+
+      expect(writtenFile('/i18n/de.json').translations).toEqual({});
+    });
+
+    it('should keep the translations of plain ngx-translate target files', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en' });
+      fs.readFile.mockResolvedValue(JSON.stringify({ app: { users: { search_1: 'Benutzer suchen' } } }));
+
+      await extractor.syncLocaleFile('/i18n/de.json', 'de', { 'app.users.search_1': 'Search users', 'app.users.add_2': 'Add user' });
+
+      const german = writtenFile('/i18n/de.json');
+      expect(german.translations).toEqual({ 'app.users.search_1': 'Benutzer suchen', 'app.users.add_2': '' });
+      expect(german.metadata.sync).toEqual({ added: 1, kept: 1, obsolete: 0, removed: 0 });
+    });
+
+    it('should refuse to overwrite target files it does not recognize', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en' });
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(['Benutzer suchen']));
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({ app: { users: { search_1: { text: 'Benutzer suchen' }, count: 3 } } }));
+
+      for (let attempt = 0; attempt < 2; attempt++) {
+        await expect(extractor.syncLocaleFile('/i18n/de.json', 'de', { 'app.users.search_1': 'Search users' }))
+          .rejects.toThrow('Unrecognized translation file /i18n/de.json: expected { "locale", "translations" } or an object of translation strings');
+      }
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should write a pseudo locale built from the source values', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', locales: ['de'], pseudoLocale: 'en-XA', pseudoExpansion: 40 });
+      extractor.extractedTexts.set('app.save_1', 'Save');
+      extractor.extractedTexts.set('app.terms_2', 'Read the <a href="/terms">terms</a>, {{name}}');
+      fs.readFile.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' }));
+
+      await extractor.saveLocaleFiles('/i18n/en.json');
+
+      const pseudo = writtenFile('/i18n/en-XA.json');
+      expect(pseudo.locale).toBe('en-XA');
+      expect(pseudo.translations).toEqual({
+        'app.save_1': '[Šáṽé on]',
+        'app.terms_2': '[Ŕéáð ţĥé <a href="/terms">ţéŕɱš</a>, {{name}} one tw]'
+      });
+      expect(pseudo.metadata.needsTranslation).toEqual([]);
+      expect(writtenFile('/i18n/de.json').translations).toEqual({ 'app.save_1': '', 'app.terms_2': '' });
+    });
+
+    it('should mark keys kept only in the merged source file as obsolete in target locales', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', locales: ['de'], merge: true, pseudoLocale: 'en-XA' });
+      extractor.extractedTexts.set('app.save_1', 'Save');
+      extractor.existingTranslations = new Map([['app.save_1', 'Save'], ['app.legacy_2', 'Old banner']]);
+      fs.readFile.mockResolvedValue(JSON.stringify({
+        locale: 'de',
+        translations: { 'app.save_1': 'Speichern', 'app.legacy_2': 'Altes Banner' }
+      }));
+
+      await extractor.saveLocaleFiles('/i18n/en.json');
+
+      expect(Object.keys(writtenFile('/i18n/en.json').translations)).toEqual(['app.save_1', 'app.legacy_2']);
+      const german = writtenFile('/i18n/de.json');
+      expect(german.translations).toEqual({ 'app.save_1': 'Speichern', 'app.legacy_2': 'Altes Banner' });
+      expect(german.metadata.sync).toEqual({ added: 0, kept: 1, obsolete: 1, removed: 0 });
+      expect(german.metadata.needsTranslation).toEqual([]);
+      expect(Object.keys(writtenFile('/i18n/en-XA.json').translations)).toEqual(['app.save_1']);
+    });
+
+    it('should reject pseudo locales that clash with real locales and invalid expansions', () => {
+      expect(() => new TextExtractor({ keyPrefix: 'app', locale: 'en', locales: ['de'], pseudoLocale: 'de' }))
+        .toThrow('The pseudo locale "de" must differ from the source and target locales');
+      expect(() => new TextExtractor({ keyPrefix: 'app', pseudoLocale: 'en-XA', pseudoExpansion: NaN }))
+        .toThrow('Invalid pseudo expansion "NaN". Expected a percentage of at least 0');
+    });
+  });
+
+  describe('dedupe', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('should reject unknown scopes and thresholds', () => {
+      expect(() => new TextExtractor({ keyPrefix: 'app', dedupe: 'project' }))
+        .toThrow('Unknown dedupe scope "project". Expected one of: none, component, global');
+      expect(() => new TextExtractor({ keyPrefix: 'app', dedupe: 'global', commonThreshold: 0 }))
+        .toThrow('Invalid common threshold "0". Expected a whole number of at least 1');
+    });
+
+    it('should reuse one key for identical text within a component', () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', keyStrategy: 'counter', dedupe: 'component' });
+
+      const first = extractor.generateKey('Cancel', '/src/app/edit.component.html');
+      expect(extractor.generateKey(' Cancel ', '/src/app/edit.component.ts')).toBe(first);
+      expect(extractor.generateKey('Cancel', '/src/app/list.component.html')).not.toBe(first);
+    });
+
+    it('should move text used by enough components to the common namespace', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', replace: true, dedupe: 'global', commonThreshold: 2 });
+      const files = {
+        '/src/edit/edit.component.html': '<button>Cancel</button><p>Edit the item</p><p>Edit the item</p>',
+        '/src/list/list.component.html': '<button>Cancel</button>'
+      };
+      glob.sync.mockReturnValue(['edit/edit.component.html', 'list/list.component.html']);
+      fs.readFile.mockImplementation(async (filePath) => files[filePath]);
+      fs.writeFile.mockResolvedValue();
+
+      await extractor.extractFromDirectory('/src');
+
+      const keys = Array.from(extractor.extractedTexts.keys());
+      expect(keys).toHaveLength(2);
+      expect(keys[0]).toMatch(/^app\.common\.cancel_[0-9a-f]{6}$/);
+      expect(keys[1]).toMatch(/^app\.edit\.edit_the_item_[0-9a-f]{6}$/);
+      expect(fs.writeFile.mock.calls.map(([filePath, content]) => [filePath, content])).toEqual([
+        ['/src/edit/edit.component.html', `<button>{{ '${keys[0]}' | translate }}</button><p>{{ '${keys[1]}' | translate }}</p><p>{{ '${keys[1]}' | translate }}</p>`],
+        ['/src/list/list.component.html', `<button>{{ '${keys[0]}' | translate }}</button>`]
+      ]);
+    });
+
+    it('should list the files that use each shared key in the metadata', () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', dedupe: 'component', rootDir: '/' });
+      extractor.recordText('app.edit.save_1', 'Save', '/src/edit.component.html', { line: 1 });
+      extractor.recordText('app.edit.save_1', 'Save', '/src/edit.component.ts', { line: 9 });
+      extractor.recordText('app.edit.title_2', 'Edit', '/src/edit.component.html', { line: 2 });
+
+      const { metadata } = extractor.buildSourceCatalog();
+
+      expect(metadata.sharedKeys).toEqual({
+        'app.edit.save_1': ['src/edit.component.html', 'src/edit.component.ts']
+      });
+    });
+  });
+
+  describe('nested JSON output', () => {
+    beforeEach(() => {
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockResolvedValue();
+      jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    const writtenFile = (filePath) => JSON.parse(fs.writeFile.mock.calls.find(([target]) => target === filePath)[1]);
+
+    it('should reject unknown JSON structures', () => {
+      expect(() => new TextExtractor({ keyPrefix: 'app', jsonStructure: 'tree' }))
+        .toThrow('Unknown JSON structure "tree". Expected one of: flat, nested');
+    });
+
+    it('should write nested source and target files and read existing files of either shape', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', locales: ['en', 'de'], jsonStructure: 'nested' });
+      extractor.extractedTexts.set('app.home.save_1', 'Save');
+      extractor.extractedTexts.set('app.home.cancel_2', 'Cancel');
+      extractor.extractedTexts.set('app.login.sign_in_3', 'Sign in');
+      fs.readFile.mockImplementation(async (filePath) => {
+        if (filePath === '/i18n/de.json') {
+          // A flat file written before the switch to nested output
+          return JSON.stringify({ locale: 'de', translations: { 'app.home.save_1': 'Speichern' }, metadata: {} });
+        }
+        throw Object.assign(new Error('not found'), { code: 'ENOENT' });
+      });
+
+      await extractor.saveLocaleFiles('/i18n/en.json');
+
+      expect(writtenFile('/i18n/en.json').translations).toEqual({
+        app: {
+          home: { save_1: 'Save', cancel_2: 'Cancel' },
+          login: { sign_in_3: 'Sign in' }
+        }
+      });
+      expect(writtenFile('/i18n/de.json').translations).toEqual({
+        app: {
+          home: { save_1: 'Speichern', cancel_2: '' },
+          login: { sign_in_3: '' }
+        }
+      });
+    });
+
+    it('should merge into a nested output file', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', keyStrategy: 'counter', merge: true, jsonStructure: 'nested' });
+      fs.readFile.mockResolvedValue(JSON.stringify({
+        locale: 'en',
+        translations: { app: { login: { sign_in_7: 'Sign in' } } },
+        metadata: {}
+      }));
+
+      await extractor.loadExistingTranslations('/i18n/en.json');
+
+      expect(extractor.generateKey('Sign in', '/path/to/login.component.html')).toBe('app.login.sign_in_7');
+    });
+
+    it('should merge into a plain nested ngx-translate file', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', keyStrategy: 'counter', merge: true, jsonStructure: 'nested' });
+      fs.readFile.mockResolvedValue(JSON.stringify({ app: { userProfile: { save_7: 'Save', old_text_8: 'Old text' } } }));
+
+      await extractor.loadExistingTranslations('/i18n/en.json');
+      const key = extractor.generateKey('Save', '/path/to/user-profile.component.html');
+      extractor.extractedTexts.set(key, 'Save');
+      await extractor.saveToJSON('/i18n/en.json');
+
+      expect(key).toBe('app.userProfile.save_7');
+      const output = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(output.translations).toEqual({ app: { userProfile: { save_7: 'Save', old_text_8: 'Old text' } } });
+      expect(output.metadata.merge).toEqual({ added: 0, kept: 1, obsolete: 1, removed: 0 });
+    });
+
+    it('should report keys that are both a translation and a namespace', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', jsonStructure: 'nested' });
+      extractor.extractedTexts.set('home.title', 'Home');
+      extractor.extractedTexts.set('home.title.tooltip', 'Go home');
+
+      await expect(extractor.saveToJSON('/i18n/en.json')).rejects.toThrow(
+        'Cannot write nested JSON, these keys are both a translation and a namespace: "home.title" (namespace of "home.title.tooltip")'
+      );
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('XLIFF output', () => {
+    beforeEach(() => {
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockResolvedValue();
+      jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('should reject unknown output formats', () => {
+      expect(() => new TextExtractor({ keyPrefix: 'app', format: 'csv' }))
+        .toThrow('Unknown output format "csv". Expected one of: json, xliff12, xliff20');
+    });
+
+    it('should write the source locale as XLIFF with location notes', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', format: 'xliff12', rootDir: '/project' });
+      extractor.recordText('app.login.sign_in_1', 'Sign in', '/project/src/login.component.html');
+      extractor.recordText('app.login.sign_in_1', 'Sign in', '/project/src/login.component.html');
+      extractor.recordText('app.about.about_us_2', 'About us', '/project/src/about.component.html');
+
+      await extractor.saveLocaleFiles('/i18n/messages.xlf');
+
+      const xml = fs.writeFile.mock.calls[0][1];
+      expect(fs.writeFile.mock.calls[0][0]).toBe('/i18n/messages.xlf');
+      expect(xml.indexOf('app.about.about_us_2')).toBeLessThan(xml.indexOf('app.login.sign_in_1'));
+      expect(xml.match(/src\/login\.component\.html/g)).toHaveLength(1);
+      expect(xml).not.toContain('<target');
+    });
+
+    it('should sync target locale XLIFF files and keep existing targets', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', locales: ['de'], format: 'xliff20' });
+      extractor.recordText('app.sign_in_1', 'Sign in', '/src/login.component.html');
+      extractor.recordText('app.register_2', 'Register', '/src/login.component.html');
+      fs.readFile.mockImplementation(async (filePath) => {
+        if (filePath === '/i18n/messages.de.xlf') {
+          return [
+            '<xliff version="2.0" srcLang="en" trgLang="de"><file>',
+            '<unit id="app.sign_in_1"><segment state="translated"><source>Sign in</source><target>Anmelden</target></segment></unit>',
+            '</file></xliff>'
+          ].join('');
+        }
+        throw Object.assign(new Error('not found'), { code: 'ENOENT' });
+      });
+
+      await extractor.saveLocaleFiles('/i18n/messages.xlf');
+
+      const german = fs.writeFile.mock.calls.find(([filePath]) => filePath === '/i18n/messages.de.xlf')[1];
+      expect(german).toContain('trgLang="de"');
+      expect(german).toContain('<segment state="translated">\n        <source>Sign in</source>\n        <target>Anmelden</target>');
+      expect(german).toContain('<segment state="initial">\n        <source>Register</source>\n        <target></target>');
+    });
+
+    it('should merge against an existing XLIFF source file', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', keyStrategy: 'counter', format: 'xliff12' });
+      fs.readFile.mockResolvedValue(
+        '<xliff version="1.2"><file><body><trans-unit id="app.login.sign_in_9"><source>Sign in</source></trans-unit></body></file></xliff>'
+      );
+
+      await extractor.loadExistingTranslations('/i18n/messages.xlf');
+
+      expect(extractor.generateKey('Sign in', '/src/login.component.html')).toBe('app.login.sign_in_9');
+    });
+  });
+
+  describe('gettext output', () => {
+    beforeEach(() => {
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockResolvedValue();
+      jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('should write a POT template and PO catalogs per target locale', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', locales: ['de'], format: 'po', rootDir: '/project' });
+      extractor.recordText('app.login.sign_in_1', 'Sign in', '/project/src/login.component.html', { line: 5, column: 3 });
+      extractor.recordText('app.login.sign_in_2', 'Sign in', '/project/src/login.component.html', { line: 9, column: 3 });
+      fs.readFile.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' }));
+
+      await extractor.saveLocaleFiles('/i18n/messages.pot');
+
+      const [potPath, pot] = fs.writeFile.mock.calls[0];
+      expect(potPath).toBe('/i18n/messages.pot');
+      expect(pot).toContain([
+        '#. Key: app.login.sign_in_1',
+        '#. Key: app.login.sign_in_2',
+        '#: src/login.component.html:5',
+        '#: src/login.component.html:9',
+        'msgctxt "login"',
+        'msgid "Sign in"',
+        'msgstr ""'
+      ].join('\n'));
+
+      const [poPath, po] = fs.writeFile.mock.calls[1];
+      expect(poPath).toBe('/i18n/messages.de.po');
+      expect(po).toContain('"Language: de\\n"');
+    });
+
+    it('should keep translations from an existing PO catalog', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', format: 'po' });
+      extractor.recordText('app.login.sign_in_1', 'Sign in', '/src/login.component.html', { line: 5 });
+      fs.readFile.mockResolvedValue([
+        '#. Key: app.login.sign_in_1',
+        'msgctxt "login"',
+        'msgid "Sign in"',
+        'msgstr "Anmelden"',
+        '',
+        '#. Key: app.login.gone_2',
+        'msgctxt "login"',
+        'msgid "Gone"',
+        'msgstr "Weg"'
+      ].join('\n'));
+
+      await extractor.syncLocaleFile('/i18n/de.po', 'de', { 'app.login.sign_in_1': 'Sign in' });
+
+      const po = fs.writeFile.mock.calls[0][1];
+      expect(po).toContain('msgid "Sign in"\nmsgstr "Anmelden"');
+      expect(po).toContain('#~ msgctxt "login"\n#~ msgid "Gone"\n#~ msgstr "Weg"');
+    });
+
+    it('should derive template and catalog paths', () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', format: 'po' });
+
+      expect(extractor.getCatalogPath('/i18n/messages.pot', 'en')).toBe('/i18n/messages.pot');
+      expect(extractor.getCatalogPath('/i18n/messages.pot', 'fr')).toBe('/i18n/messages.fr.po');
+      expect(extractor.getCatalogPath('/i18n/{locale}.po', 'en')).toBe('/i18n/en.pot');
+      expect(extractor.getCatalogPath('/i18n/{locale}.po', 'fr')).toBe('/i18n/fr.po');
+    });
+  });
+
+  describe('Angular i18n mode', () => {
+    beforeEach(() => {
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockResolvedValue();
+      jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('should turn string property bindings into static attributes marked with i18n', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', framework: 'angular', replace: true, attributes: ['matTooltip', 'label'] });
+      fs.readFile.mockResolvedValue('<app-card matTooltip="Details" [label]="\'Save &quot;draft&quot;\'"></app-card>');
+
+      await extractor.extractFromHtmlTemplate('/src/app/home/home.component.html');
+
+      const [tooltipKey, labelKey] = Array.from(extractor.extractedTexts.keys());
+      expect(fs.writeFile.mock.calls[0][1]).toBe(
+        '<app-card matTooltip="Details" label="Save &quot;draft&quot;" ' +
+        `i18n-matTooltip="home|app-card matTooltip@@${tooltipKey}" i18n-label="home|app-card label@@${labelKey}"></app-card>`
+      );
+    });
+
+    it('should default to XLIFF 1.2 and reject other formats', () => {
+      expect(new TextExtractor({ keyPrefix: 'app', framework: 'angular' }).format).toBe('xliff12');
+      expect(() => new TextExtractor({ keyPrefix: 'app', framework: 'angular', format: 'json' }))
+        .toThrow('The angular framework writes messages.xlf (XLIFF 1.2); format "json" is not supported');
+      expect(() => new TextExtractor({ keyPrefix: 'app', framework: 'vue-i18n' }))
+        .toThrow('Unknown framework "vue-i18n". Expected one of: ngx-translate, angular');
+    });
+
+    it('should add i18n attributes and keep the source text in place', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', framework: 'angular', replace: true });
+      fs.readFile.mockResolvedValue([
+        '<div>',
+        '  <h1>Welcome back, {{ user.name }}!</h1>',
+        '  <p>Read the <a href="/terms">terms</a></p>',
+        '  <input type="text" placeholder="Enter your email" />',
+        '  <button i18n="Save button">Save changes</button>',
+        '  <button i18n="home|Cancel@@app.cancel">Cancel</button>',
+        '</div>'
+      ].join('\n'));
+
+      await extractor.extractFromHtmlTemplate('/src/app/home/home.component.html');
+
+      const [welcomeKey, termsKey, saveKey, cancelKey, emailKey] = Array.from(extractor.extractedTexts.keys());
+      expect(cancelKey).toBe('app.cancel');
+      expect(fs.writeFile.mock.calls[0][1]).toBe([
+        '<div>',
+        `  <h1 i18n="home|h1 text@@${welcomeKey}">Welcome back, {{ user.name }}!</h1>`,
+        `  <p i18n="home|p text@@${termsKey}">Read the <a href="/terms">terms</a></p>`,
+        `  <input type="text" placeholder="Enter your email" i18n-placeholder="home|input placeholder@@${emailKey}" />`,
+        `  <button i18n="Save button@@${saveKey}">Save changes</button>`,
+        '  <button i18n="home|Cancel@@app.cancel">Cancel</button>',
+        '</div>'
+      ].join('\n'));
+    });
+
+    it('should write messages.xlf with placeholders, locations and notes', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', framework: 'angular', rootDir: '/' });
+      fs.readFile.mockResolvedValueOnce('<h1>Welcome back, {{ user.name }}!</h1>');
+      fs.readFile.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' }));
+
+      await extractor.extractFromHtmlTemplate('/src/app/home/home.component.html');
+      await extractor.saveLocaleFiles('/src/locale/messages.xlf');
+
+      const key = Array.from(extractor.extractedTexts.keys())[0];
+      expect(fs.writeFile.mock.calls[0][1]).toContain([
+        '    <body>',
+        `      <trans-unit id="${key}" datatype="html">`,
+        '        <source>Welcome back, <x id="INTERPOLATION" equiv-text="{{ user.name }}"/>!</source>',
+        '        <context-group purpose="location">',
+        '          <context context-type="sourcefile">src/app/home/home.component.html</context>',
+        '          <context context-type="linenumber">1</context>',
+        '        </context-group>',
+        '        <note priority="1" from="description">h1 text</note>',
+        '        <note priority="1" from="meaning">home</note>',
+        '      </trans-unit>'
+      ].join('\n'));
+      expect(fs.writeFile.mock.calls[0][1]).toContain('original="ng2.template"');
+    });
+
+    it('should keep placeholders in existing target translations', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', framework: 'angular' });
+      extractor.recordText('app.welcome', 'Welcome back, {{ name }}!', '/src/home.component.html');
+      fs.readFile.mockResolvedValue([
+        '<xliff version="1.2"><file target-language="de"><body><trans-unit id="app.welcome">',
+        '<source>Welcome back, <x id="INTERPOLATION" equiv-text="{{ name }}"/>!</source>',
+        '<target state="translated">Willkommen, <x id="INTERPOLATION" equiv-text="{{ name }}"/>!</target>',
+        '</trans-unit></body></file></xliff>'
+      ].join(''));
+
+      await extractor.syncLocaleFile('/src/locale/messages.de.xlf', 'de', { 'app.welcome': 'Welcome back, {{ name }}!' });
+
+      expect(fs.writeFile.mock.calls[0][1]).toContain(
+        '<target state="translated">Willkommen, <x id="INTERPOLATION" equiv-text="{{ name }}"/>!</target>'
+      );
+    });
+
+    it('should keep placeholders in pseudo-localized targets', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', locale: 'en', framework: 'angular', pseudoLocale: 'en-XA' });
+      fs.readFile.mockResolvedValueOnce('<h1>Welcome back, {{ user.name }}!</h1>');
+      fs.readFile.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' }));
+
+      await extractor.extractFromHtmlTemplate('/src/app/home/home.component.html');
+      await extractor.saveLocaleFiles('/src/locale/messages.xlf');
+
+      const call = fs.writeFile.mock.calls.find(([target]) => target === '/src/locale/messages.en-XA.xlf');
+      expect(call[1]).toContain('target-language="en-XA"');
+      expect(call[1]).toContain('<target state="translated">[Ŵéļçöɱé ƀáçķ, <x id="INTERPOLATION" equiv-text="{{ user.name }}"/>! one t]</target>');
+    });
+
+    it('should rewrite TypeScript literals to $localize and reuse their ids', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', framework: 'angular', replace: true });
+      fs.readFile.mockResolvedValue([
+        'export class SettingsComponent {',
+        "  static title = 'Account settings';",
+        '  saved = $localize`:@@app.settings.saved:Your changes have been saved`;',
+        '}'
+      ].join('\n'));
+
+      await extractor.extractFromTypeScriptFile('/src/app/settings/settings.component.ts');
+
+      const titleKey = Array.from(extractor.extractedTexts.keys()).find(key => key !== 'app.settings.saved');
+      expect(extractor.extractedTexts.get('app.settings.saved')).toBe('Your changes have been saved');
+      expect(fs.writeFile.mock.calls[0][1]).toContain(`  static title = $localize\`:@@${titleKey}:Account settings\`;`);
+      expect(fs.writeFile.mock.calls[0][1]).not.toContain('TranslateService');
+    });
+  });
+
+  describe('Transloco mode', () => {
+    beforeEach(() => {
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockResolvedValue();
+      jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('should only write JSON and validate the template style', () => {
+      expect(() => new TextExtractor({ keyPrefix: 'app', framework: 'transloco', format: 'po' }))
+        .toThrow('The transloco framework writes JSON scope files; format "po" is not supported');
+      expect(() => new TextExtractor({ keyPrefix: 'app', framework: 'transloco', translocoStyle: 'structural' }))
+        .toThrow('Unknown Transloco style "structural". Expected one of: pipe, directive');
+    });
+
+    it('should replace text with the transloco pipe and scoped keys', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', framework: 'transloco', replace: true });
+      fs.readFile.mockResolvedValue('<h1>Welcome back, {{ user.name }}!</h1>\n<input placeholder="Enter your email">\n');
+
+      await extractor.extractFromHtmlTemplate('/src/app/home/home.component.html');
+
+      const [welcomeKey, emailKey] = Array.from(extractor.extractedTexts.keys());
+      expect(welcomeKey).toMatch(/^home\.welcome_back_name_[0-9a-f]{6}$/);
+      expect(fs.writeFile.mock.calls[0][1]).toBe(
+        `<h1>{{ '${welcomeKey}' | transloco: { name: user.name } }}</h1>\n<input placeholder="{{ '${emailKey}' | transloco }}">\n`
+      );
+    });
+
+    it('should wrap templates in *transloco for the directive style', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', framework: 'transloco', translocoStyle: 'directive', replace: true });
+      fs.readFile.mockResolvedValue('<h1>Welcome back, {{ user.name }}!</h1>\n');
+
+      await extractor.extractFromHtmlTemplate('/src/app/home/home.component.html');
+
+      const key = Array.from(extractor.extractedTexts.keys())[0];
+      expect(fs.writeFile.mock.calls[0][1]).toBe(
+        `<ng-container *transloco="let t">\n<h1>{{ t('${key}', { name: user.name }) }}</h1>\n</ng-container>\n`
+      );
+    });
+
+    it('should reuse the variable of an existing *transloco directive', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', framework: 'transloco', translocoStyle: 'directive', replace: true });
+      fs.readFile.mockResolvedValue('<ng-container *transloco="let tr; read: \'home\'">\n  <p>Edit your profile</p>\n</ng-container>\n');
+
+      await extractor.extractFromHtmlTemplate('/src/app/home/home.component.html');
+
+      const key = Array.from(extractor.extractedTexts.keys())[0];
+      expect(fs.writeFile.mock.calls[0][1]).toBe(
+        `<ng-container *transloco="let tr; read: 'home'">\n  <p>{{ tr('${key}') }}</p>\n</ng-container>\n`
+      );
+    });
+
+    it('should only reuse the variable of a *transloco directive inside its element', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', framework: 'transloco', translocoStyle: 'directive', replace: true });
+      fs.readFile.mockResolvedValue('<h1>Your profile</h1>\n<section *transloco="let tr">\n  <p>Edit your profile</p>\n</section>\n');
+
+      await extractor.extractFromHtmlTemplate('/src/app/home/home.component.html');
+
+      const keys = {};
+      extractor.extractedTexts.forEach((value, key) => { keys[value] = key; });
+      expect(fs.writeFile.mock.calls[0][1]).toBe([
+        '<ng-container *transloco="let t">',
+        `<h1>{{ t('${keys['Your profile']}') }}</h1>`,
+        '<section *transloco="let tr">',
+        `  <p>{{ tr('${keys['Edit your profile']}') }}</p>`,
+        '</section>',
+        '</ng-container>',
+        ''
+      ].join('\n'));
+    });
+
+    it('should inject TranslocoService in TypeScript files', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', framework: 'transloco', replace: true });
+      fs.readFile.mockResolvedValue([
+        "import { Component } from '@angular/core';",
+        '',
+        '@Component({ selector: \'app-home\', standalone: true })',
+        'export class HomeComponent {',
+        "  message = 'Your changes have been saved';",
+        "  title$ = 'Account settings';",
+        '}'
+      ].join('\n'));
+
+      await extractor.extractFromTypeScriptFile('/src/app/home/home.component.ts');
+
+      const [messageKey, titleKey] = Array.from(extractor.extractedTexts.keys());
+      const output = fs.writeFile.mock.calls[0][1];
+      expect(output).toContain("import { Component, inject } from '@angular/core';");
+      expect(output).toContain("import { TranslocoService } from '@jsverse/transloco';");
+      expect(output).toContain('  private readonly transloco = inject(TranslocoService);');
+      expect(output).toContain(`  message = this.transloco.translate('${messageKey}');`);
+      expect(output).toContain(`  title$ = this.transloco.selectTranslate('${titleKey}');`);
+    });
+
+    it('should write one file per scope and locale, keeping existing translations', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', framework: 'transloco', locale: 'en', locales: ['en', 'de'] });
+      extractor.recordText('home.welcome_1', 'Welcome', '/src/app/home/home.component.html');
+      extractor.recordText('settings.save_2', 'Save', '/src/app/settings/settings.component.html');
+      glob.sync.mockImplementation((patterns) => (patterns[0] === 'de.json' ? ['home/de.json'] : []));
+      fs.readFile.mockResolvedValue(JSON.stringify({ welcome_1: 'Willkommen', old_3: 'Alt' }));
+
+      await extractor.saveLocaleFiles('/src/assets/i18n');
+
+      const written = Object.fromEntries(fs.writeFile.mock.calls.map(([filePath, content]) => [filePath, JSON.parse(content)]));
+      expect(written).toEqual({
+        '/src/assets/i18n/home/en.json': { welcome_1: 'Welcome' },
+        '/src/assets/i18n/settings/en.json': { save_2: 'Save' },
+        '/src/assets/i18n/home/de.json': { welcome_1: 'Willkommen', old_3: 'Alt' },
+        '/src/assets/i18n/settings/de.json': { save_2: '' }
+      });
+      expect(glob.sync).toHaveBeenCalledWith(['de.json', '*/de.json'], { cwd: '/src/assets/i18n' });
+    });
+  });
+
+  describe('dry run', () => {
+    beforeEach(() => {
+      fs.writeFile.mockResolvedValue();
+      jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('should collect rewrites instead of writing source files', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', replace: true, dryRun: true, rootDir: '/project' });
+      fs.readFile.mockResolvedValueOnce('<h1>Welcome back</h1>\n');
+      fs.readFile.mockResolvedValueOnce("export const greetGuard: CanActivateFn = () => {\n  return confirm('Welcome back to the app');\n};\n");
+
+      await extractor.extractFromHtmlTemplate('/project/src/home.component.html');
+      await extractor.extractFromTypeScriptFile('/project/src/greet.ts');
+
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      expect(extractor.pendingChanges.map(change => change.filePath)).toEqual([
+        '/project/src/home.component.html',
+        '/project/src/greet.ts'
+      ]);
+
+      const { patch } = await extractor.reportDryRun();
+      expect(patch.indexOf('diff --git a/src/greet.ts b/src/greet.ts')).toBeLessThan(
+        patch.indexOf('diff --git a/src/home.component.html b/src/home.component.html')
+      );
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should report only keys missing from the existing catalog', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', dryRun: true });
+      extractor.existingTranslations = new Map([['app.kept_1', 'Kept']]);
+      extractor.recordText('app.kept_1', 'Kept', '/src/a.html');
+      extractor.recordText('app.new_2', 'New', '/src/a.html');
+
+      const { patch, newKeys } = await extractor.reportDryRun();
+
+      expect(patch).toBe('');
+      expect(newKeys).toEqual(['app.new_2']);
+      expect(console.log).toHaveBeenCalledWith('No source files would change');
+    });
+  });
+
+  describe('backup runs', () => {
+    beforeEach(() => {
+      fs.writeFile.mockResolvedValue();
+      fs.mkdir.mockResolvedValue();
+      jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('should save the originals of rewritten files as one run', async () => {
+      const backupDir = path.resolve('/project/.ng-i18n-extract');
+      const extractor = new TextExtractor({ keyPrefix: 'app', replace: true, backupDir });
+      fs.readFile.mockResolvedValueOnce('<h1>Welcome back</h1>\n');
+
+      await extractor.extractFromHtmlTemplate(path.resolve('/project/src/home.component.html'));
+      const manifest = await extractor.saveBackupRun();
+
+      expect(manifest.files.map(file => [file.path, file.original])).toEqual([['src/home.component.html', '<h1>Welcome back</h1>\n']]);
+      expect(fs.writeFile).toHaveBeenCalledWith(path.join(backupDir, 'runs', manifest.id, 'manifest.json'), expect.any(String), 'utf8');
+      // Saved runs are not saved again
+      await expect(extractor.saveBackupRun()).resolves.toBeNull();
+    });
+
+    it('should not save a run with backups turned off', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', replace: true, backup: false });
+      fs.readFile.mockResolvedValueOnce('<h1>Welcome back</h1>\n');
+
+      await extractor.extractFromHtmlTemplate('/project/src/home.component.html');
+
+      await expect(extractor.saveBackupRun()).resolves.toBeNull();
+      expect(fs.writeFile).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('source locations', () => {
+    it('should record line and column for HTML elements, attributes and TypeScript literals', async () => {
+      const extractor = new TextExtractor({ keyPrefix: 'app', rootDir: '/' });
+      fs.readFile.mockResolvedValueOnce('<div>\n  <h1>Welcome back</h1>\n  <input placeholder="Email address">\n</div>');
+      fs.readFile.mockResolvedValueOnce("export class A {\n  title = 'Account settings';\n}");
+
+      await extractor.extractFromHtmlTemplate('/src/login.component.html');
+      await extractor.extractFromTypeScriptFile('/src/login.component.ts');
+
+      const sources = Array.from(extractor.textSources.values()).map(([source]) => source);
+      expect(sources).toEqual([
+        { file: '/src/login.component.html', line: 2, column: 3, element: 'h1', attribute: null },
+        { file: '/src/login.component.html', line: 3, column: 10, element: 'input', attribute: 'placeholder' },
+        { file: '/src/login.component.ts', line: 2, column: 11, element: null, attribute: null }
+      ]);
+    });
+
+    describe('references', () => {
+      const writtenFile = (filePath) => JSON.parse(fs.writeFile.mock.calls.find(([target]) => target === filePath)[1]);
+
+      const extractLogin = async (options) => {
+        const extractor = new TextExtractor({ keyPrefix: 'app', rootDir: '/', locale: 'en', dedupe: 'component', ...options });
+        fs.readFile.mockResolvedValueOnce('<h1>Welcome back</h1>\n<input placeholder="Email address">\n<p>Welcome back</p>');
+        fs.readFile.mockResolvedValueOnce("export class A {\n  title = 'Account settings';\n}");
+        await extractor.extractFromHtmlTemplate('/src/login.component.html');
+        await extractor.extractFromTypeScriptFile('/src/login.component.ts');
+        return extractor;
+      };
+
+      beforeEach(() => {
+        fs.mkdir.mockResolvedValue();
+        fs.writeFile.mockResolvedValue();
+        jest.spyOn(console, 'log').mockImplementation();
+      });
+
+      afterEach(() => {
+        console.log.mockRestore();
+      });
+
+      it('should write a references section with the file, position, element and attribute of each key', async () => {
+        const extractor = await extractLogin({ locales: ['en', 'de'] });
+        fs.readFile.mockRejectedValue(Object.assign(new Error('ENOENT'), { code: 'ENOENT' }));
+
+        await extractor.saveLocaleFiles('/i18n/en.json');
+
+        const { references } = writtenFile('/i18n/en.json');
+        const welcomeKey = Object.keys(references).find(key => key.includes('welcome_back'));
+        expect(references[welcomeKey]).toEqual([
+          { file: 'src/login.component.html', line: 1, column: 1, element: 'h1' },
+          { file: 'src/login.component.html', line: 3, column: 1, element: 'p' }
+        ]);
+        expect(Object.values(references)).toContainEqual([
+          { file: 'src/login.component.html', line: 2, column: 8, element: 'input', attribute: 'placeholder' }
+        ]);
+        expect(Object.values(references)).toContainEqual([{ file: 'src/login.component.ts', line: 2, column: 11 }]);
+        expect(writtenFile('/i18n/de.json').references).toEqual(references);
+      });
+
+      it('should write references to a sidecar file instead', async () => {
+        const extractor = await extractLogin({ references: 'sidecar' });
+
+        await extractor.saveLocaleFiles('/i18n/en.json');
+
+        expect(writtenFile('/i18n/en.json').references).toBeUndefined();
+        expect(Object.keys(writtenFile('/i18n/en.references.json').references)).toHaveLength(3);
+        expect(extractor.getReferencesPath('/i18n/messages.xlf')).toBe('/i18n/messages.references.json');
+        expect(extractor.getReferencesPath('/src/assets/i18n')).toBe(path.join('/src/assets/i18n', 'references.json'));
+      });
+
+      it('should leave references out when disabled and reject unknown modes', async () => {
+        const extractor = await extractLogin({ references: 'none' });
+
+        await extractor.saveLocaleFiles('/i18n/en.json');
+
+        expect(writtenFile('/i18n/en.json').references).toBeUndefined();
+        expect(fs.writeFile).toHaveBeenCalledTimes(1);
+        expect(() => new TextExtractor({ keyPrefix: 'app', references: 'comments' }))
+          .toThrow('Unknown references mode "comments". Expected one of: inline, sidecar, none');
+      });
+    });
+  });
+
+  describe('parallel extraction and cache', () => {
+    const srcPath = path.resolve('/project/src');
+    const cachePath = path.resolve('/project/.ng-i18n-extract-cache.json');
+    let files;
+    let written;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation();
+      files = {
+        'home/home.component.html': '<h1>Welcome</h1>\n<button title="Save changes">Save</button>',
+        'about/about.component.html': '<p>About us</p>\n<button>Save</button>',
+        'contact/contact.component.html': '<button>Save</button>\n<label>Email</label>',
+        'home/home.component.ts': "export class HomeComponent {\n  message = 'Something went wrong';\n}\n",
+        'about/about.component.ts': "export class AboutComponent {\n  message = 'Something went wrong';\n}\n"
+      };
+      written = {};
+      glob.sync.mockImplementation(() => Object.keys(files));
+      fs.readFile.mockImplementation(async (filePath) => {
+        if (written[filePath] !== undefined) {
+          return written[filePath];
+        }
+        const file = path.relative(srcPath, filePath).split(path.sep).join('/');
+        if (files[file] === undefined) {
+          throw Object.assign(new Error(`ENOENT: no such file ${filePath}`), { code: 'ENOENT' });
+        }
+        return files[file];
+      });
+      fs.writeFile.mockImplementation(async (filePath, content) => {
+        written[filePath] = content;
+      });
+      fs.mkdir.mockResolvedValue();
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    const extract = async (options) => {
+      written = Object.fromEntries(Object.entries(written).filter(([filePath]) => filePath === cachePath));
+      const extractor = new TextExtractor({ keyPrefix: 'app', keyStrategy: 'counter', dedupe: 'global', replace: true, ...options });
+      await extractor.extractFromDirectory(srcPath);
+      const sources = Object.fromEntries(Object.entries(written).filter(([filePath]) => filePath !== cachePath));
+      return { extractor, texts: Array.from(extractor.extractedTexts.entries()), sources };
+    };
+
+    it('should produce the same keys, in the same order, and the same rewrites with a worker pool', async () => {
+      const serial = await extract({});
+      const parallel = await extract({ workers: 3 });
+
+      expect(serial.texts.map(([key]) => key)).toContain('app.common.save_1');
+      expect(parallel.texts).toEqual(serial.texts);
+      expect(parallel.sources).toEqual(serial.sources);
+      expect(Array.from(parallel.extractor.textSources.entries())).toEqual(Array.from(serial.extractor.textSources.entries()));
+    });
+
+    it('should reuse cached results for files whose content did not change', async () => {
+      const serial = await extract({ replace: false });
+      await extract({ replace: false, cache: cachePath });
+      expect(console.log).not.toHaveBeenCalledWith(expect.stringContaining('Reused cached results'));
+
+      files['contact/contact.component.html'] = '<button>Save</button>\n<label>Email address</label>';
+      const cached = await extract({ replace: false, cache: cachePath });
+
+      expect(console.log).toHaveBeenCalledWith('⚡ Reused cached results for 4 of 5 files');
+      expect(cached.texts.map(([, text]) => text)).toEqual(serial.texts.map(([, text]) => text === 'Email' ? 'Email address' : text));
+      expect(Object.keys(JSON.parse(written[cachePath]).files)).toEqual(Object.keys(files).sort());
+    });
+
+    it('should discard the cache when analysis options change', async () => {
+      await extract({ replace: false, cache: cachePath });
+      await extract({ replace: false, cache: cachePath, elements: ['mat-label'] });
+
+      expect(console.log).not.toHaveBeenCalledWith(expect.stringContaining('Reused cached results'));
+    });
+
+    it('should not write the cache in a dry run', async () => {
+      const { sources } = await extract({ dryRun: true, cache: cachePath });
+
+      expect(written[cachePath]).toBeUndefined();
+      expect(sources).toEqual({});
+    });
+
+    it('should report files that cannot be processed like a serial run', async () => {
+      files['broken.component.ts'] = 'export class {';
+      jest.spyOn(console, 'warn').mockImplementation();
+
+      const { texts } = await extract({ workers: 2, replace: false });
+
+      expect(console.warn).toHaveBeenCalledWith(`Warning: Could not process TypeScript file ${path.join(srcPath, 'broken.component.ts')}:`, expect.any(String));
+      expect(texts).toHaveLength(6);
+      console.warn.mockRestore();
+    });
+
+    it('should leave keys as placeholders in deferred analyses', () => {
+      const { DeferredKeyExtractor } = require('./extractor');
+      const analyzer = new DeferredKeyExtractor({ keyPrefix: 'app', replace: true });
+
+      const analysis = analyzer.analyze('/project/src/home.component.html', '<h1>Welcome</h1>');
+
+      expect(analysis.events).toEqual([
+        { type: 'key', text: 'Welcome' },
+        { type: 'record', key: '__ng_i18n_extract_key_0__', value: 'Welcome', location: { line: 1, column: 1, element: 'h1', attribute: null }, translated: false }
+      ]);
+      expect(analysis.modified).toBe("<h1>{{ '__ng_i18n_extract_key_0__' | translate }}</h1>");
+    });
+
+    it('should reject invalid worker counts', () => {
+      expect(() => new TextExtractor({ keyPrefix: 'app', workers: 0 }))
+        .toThrow('Invalid worker count "0". Expected a whole number of at least 1');
+    });
+  });
+
+  describe('parameterizeInterpolations', () => {
+    let extractor;
+
+    beforeEach(() => {
+      extractor = new TextExtractor({ keyPrefix: 'test' });
+    });
+
+    it('should derive parameter names from the bound expressions', () => {
+      expect(extractor.parameterizeInterpolations('Hi {{ user?.firstName }}, {{ count() }} new, {{ a || b }}')).toEqual({
+        message: 'Hi {{firstName}}, {{count}} new, {{b}}',
+        params: [
+          { name: 'firstName', expression: 'user?.firstName' },
+          { name: 'count', expression: 'count()' },
+          { name: 'b', expression: 'a || b' }
+        ]
+      });
+    });
+
+    it('should fall back to a generic name for literal expressions', () => {
+      expect(extractor.parameterizeInterpolations("Total: {{ 42 }} {{ 'x' }}").params.map(param => param.name))
+        .toEqual(['param', 'param2']);
+    });
+
+    it('should return null when only bindings and punctuation remain', () => {
+      expect(extractor.parameterizeInterpolations('{{ first }} / {{ last }}')).toBeNull();
+    });
+  });
+
+  describe('containsTranslatableText', () => {
+    let extractor;
+
+    beforeEach(() => {
+      extractor = new TextExtractor({ keyPrefix: 'test' });
+    });
+
+    it('should return true for HTML with translatable text', () => {
+      expect(extractor.containsTranslatableText('This is <strong>important</strong> text')).toBe(true);
+      expect(extractor.containsTranslatableText('Click <em>here</em> to continue')).toBe(true);
+      expect(extractor.containsTranslatableText('Welcome to <span>our app</span>')).toBe(true);
+    });
+
+    it('should return false for HTML without translatable text', () => {
+      expect(extractor.containsTranslatableText('<div></div>')).toBe(false);
+      expect(extractor.containsTranslatableText('<span>123</span>')).toBe(false);
+      expect(extractor.containsTranslatableText('<a href="https://example.com">https://example.com</a>')).toBe(false);
+    });
+
+    it('should return false for empty or whitespace-only HTML', () => {
+      expect(extractor.containsTranslatableText('')).toBe(false);
+      expect(extractor.containsTranslatableText('   ')).toBe(false);
+      expect(extractor.containsTranslatableText('<span>   </span>')).toBe(false);
+    });
+
+    it('should handle complex nested HTML', () => {
+      const complexHtml = `
+        This is a <strong>complex</strong> paragraph with 
+        <em>multiple</em> <span class="highlight">nested</span> elements.
+      `;
+      expect(extractor.containsTranslatableText(complexHtml)).toBe(true);
+    });
+  });
+
+  describe('escapeRegExp', () => {
+    let extractor;
+
+    beforeEach(() => {
+      extractor = new TextExtractor({ keyPrefix: 'test' });
+    });
+
+    it('should escape special regex characters', () => {
+      expect(extractor.escapeRegExp('hello.world')).toBe('hello\\.world');
+      expect(extractor.escapeRegExp('test[123]')).toBe('test\\[123\\]');
+      expect(extractor.escapeRegExp('a*b+c?')).toBe('a\\*b\\+c\\?');
+      expect(extractor.escapeRegExp('(test)')).toBe('\\(test\\)');
+    });
+  });
+});
+
+describe('extractTexts function', () => {
   beforeEach(() => {
     jest.clearAllMocks();
-    glob.sync.mockReturnValue(['test.html']);
+    glob.sync.mockImplementation((patterns) => patterns.includes('**/*.html') ? ['test.html'] : []);
     fs.readFile.mockResolvedValue('<div>Test</div>');
     fs.mkdir.mockResolvedValue();
     fs.writeFile.mockResolvedValue();
@@ -570,4 +2356,123 @@ describe('extractTexts function', () => {
     expect(fs.writeFile).toHaveBeenCalled();
     consoleSpy.mockRestore();
   });
+
+  it('should load the existing output file before extracting in merge mode', async () => {
+    fs.readFile.mockImplementation(async (filePath) => filePath === '/output/messages.json'
+      ? JSON.stringify({ translations: { 'app.test.test_1': 'Test' } })
+      : '<p>Test</p>');
+
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+    await extractTexts({
+      srcPath: '/src',
+      outputPath: '/output/messages.json',
+      locale: 'en',
+      keyPrefix: 'app',
+      merge: true
+    });
+
+    const output = JSON.parse(fs.writeFile.mock.calls[0][1]);
+    expect(output.translations).toEqual({ 'app.test.test_1': 'Test' });
+    expect(output.metadata.merge).toEqual({ added: 0, kept: 1, obsolete: 0, removed: 0 });
+    consoleSpy.mockRestore();
+  });
+
+  it('should only write the patch file in dry-run mode', async () => {
+    fs.readFile.mockResolvedValue('<p>Save changes</p>\n');
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+    await extractTexts({
+      srcPath: '/src',
+      outputPath: '/output/messages.json',
+      locale: 'en',
+      keyPrefix: 'app',
+      replace: true,
+      dryRun: true,
+      diffOutput: '/review/i18n.patch',
+      rootDir: '/src'
+    });
+
+    expect(fs.writeFile).toHaveBeenCalledTimes(1);
+    const [patchPath, patch] = fs.writeFile.mock.calls[0];
+    expect(patchPath).toBe('/review/i18n.patch');
+    expect(patch).toMatch(/^diff --git a\/test\.html b\/test\.html\n--- a\/test\.html\n\+\+\+ b\/test\.html\n@@ -1 \+1 @@\n-<p>Save changes<\/p>\n\+<p>\{\{ 'app\.test\.save_changes_[0-9a-f]{6}' \| translate \}\}<\/p>\n$/);
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringMatching(/^  app\.test\.save_changes_[0-9a-f]{6}: "Save changes"$/));
+    consoleSpy.mockRestore();
+  });
+
+  it('should keep the keys an earlier --replace run wrote into the source when merging', async () => {
+    const files = {
+      '/project/src/home/home.component.html': '<h1>Welcome home</h1>\n<p>{{ greeting }}</p>\n',
+      '/project/src/home/home.component.ts': [
+        "import { Component } from '@angular/core';",
+        "@Component({ selector: 'app-home', templateUrl: './home.component.html' })",
+        'export class HomeComponent {',
+        "  save() { alert('Your changes were saved'); }",
+        '}',
+        ''
+      ].join('\n')
+    };
+    glob.sync.mockImplementation(() => ['home/home.component.html', 'home/home.component.ts']);
+    fs.readFile.mockImplementation(async (filePath) => {
+      if (files[filePath] === undefined) {
+        throw Object.assign(new Error(`ENOENT: ${filePath}`), { code: 'ENOENT' });
+      }
+      return files[filePath];
+    });
+    fs.writeFile.mockImplementation(async (filePath, content) => {
+      files[filePath] = content;
+    });
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    const options = {
+      srcPath: '/project/src',
+      rootDir: '/project',
+      outputPath: '/project/i18n/{locale}.json',
+      locale: 'en',
+      locales: ['de'],
+      keyPrefix: 'app',
+      backup: false
+    };
+
+    await extractTexts({ ...options, replace: true });
+    const extracted = JSON.parse(files['/project/i18n/en.json']).translations;
+    expect(Object.values(extracted).sort()).toEqual(['Welcome home', 'Your changes were saved']);
+    expect(files['/project/src/home/home.component.ts']).toContain('this.translate.instant(');
+    const german = JSON.parse(files['/project/i18n/de.json']);
+    Object.keys(german.translations).forEach(key => {
+      german.translations[key] = `de: ${extracted[key]}`;
+    });
+    files['/project/i18n/de.json'] = JSON.stringify(german);
+
+    await extractTexts({ ...options, merge: true, removeObsolete: true });
+
+    const merged = JSON.parse(files['/project/i18n/en.json']);
+    expect(merged.translations).toEqual(extracted);
+    expect(merged.metadata.merge).toEqual({ added: 0, kept: 2, obsolete: 0, removed: 0 });
+    const synced = JSON.parse(files['/project/i18n/de.json']);
+    expect(Object.values(synced.translations).sort()).toEqual(['de: Welcome home', 'de: Your changes were saved']);
+    expect(synced.metadata.sync).toEqual({ added: 0, kept: 2, obsolete: 0, removed: 0 });
+    consoleSpy.mockRestore();
+  });
+
+  it('should save the backup run even when writing the translation files fails', async () => {
+    fs.readFile.mockImplementation(async (filePath) => filePath === '/output/de.json' ? '{ not json' : '<p>Save changes</p>\n');
+    fs.mkdir.mockResolvedValue();
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+    await expect(extractTexts({
+      srcPath: '/project/src',
+      outputPath: '/output/en.json',
+      locale: 'en',
+      locales: ['de'],
+      keyPrefix: 'app',
+      replace: true,
+      backupDir: '/project/.ng-i18n-extract'
+    })).rejects.toThrow('Could not parse existing translations in /output/de.json');
+
+    const manifestCall = fs.writeFile.mock.calls.find(([filePath]) => filePath.endsWith('manifest.json'));
+    expect(manifestCall[0]).toMatch(/^\/project\/\.ng-i18n-extract\/runs\/[^/]+\/manifest\.json$/);
+    expect(JSON.parse(manifestCall[1]).files.map(file => [file.path, file.original])).toEqual([['src/test.html', '<p>Save changes</p>\n']]);
+    consoleSpy.mockRestore();
+  });
 });
\ No newline at end of file
@@ -0,0 +1,225 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { formatTranslations } = require('./nested-json');
+
+// Extracted comment that ties a gettext message back to its translation keys
+const KEY_COMMENT_PREFIX = 'Key: ';
+
+function escapePoString(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+}
+
+function unescapePoString(text) {
+  return text.replace(/\\(.)/g, (match, char) => {
+    switch (char) {
+      case 'n': return '\n';
+      case 't': return '\t';
+      case 'r': return '\r';
+      default: return char;
+    }
+  });
+}
+
+function formatPoField(name, value, prefix = '') {
+  // Multi-line values use the conventional empty first line, one line per \n
+  if (!value.includes('\n')) {
+    return [`${prefix}${name} "${escapePoString(value)}"`];
+  }
+
+  const parts = value.split(/(?<=\n)/);
+  return [`${prefix}${name} ""`, ...parts.map(part => `${prefix}"${escapePoString(part)}"`)];
+}
+
+function buildHeader(locale) {
+  const headerLines = [
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: 8bit',
+    'X-Generator: ng-i18n-extract'
+  ];
+  if (locale) {
+    headerLines.splice(0, 0, `Language: ${locale}`);
+  }
+
+  return [
+    'msgid ""',
+    'msgstr ""',
+    ...headerLines.map(line => `"${escapePoString(`${line}\n`)}"`)
+  ].join('\n');
+}
+
+// entries: [{ context, msgid, msgstr, keys, references, comments, fuzzy, obsolete }]
+// No creation dates are written, so unchanged catalogs produce identical files.
+function buildCatalog(entries, locale = null) {
+  const blocks = [buildHeader(locale)];
+
+  entries.forEach(entry => {
+    const lines = [];
+    const prefix = entry.obsolete ? '#~ ' : '';
+
+    (entry.comments || []).forEach(comment => lines.push(`#. ${comment}`));
+    (entry.keys || []).forEach(key => lines.push(`#. ${KEY_COMMENT_PREFIX}${key}`));
+    if (!entry.obsolete) {
+      (entry.references || []).forEach(reference => lines.push(`#: ${reference}`));
+    }
+    if (entry.fuzzy) {
+      lines.push('#, fuzzy');
+    }
+    if (entry.context) {
+      lines.push(...formatPoField('msgctxt', entry.context, prefix));
+    }
+    lines.push(...formatPoField('msgid', entry.msgid, prefix));
+    lines.push(...formatPoField('msgstr', entry.msgstr || '', prefix));
+
+    blocks.push(lines.join('\n'));
+  });
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+function buildPot(entries) {
+  return buildCatalog(entries.map(entry => ({ ...entry, msgstr: '', fuzzy: false })));
+}
+
+function buildPo(entries, locale) {
+  return buildCatalog(entries, locale);
+}
+
+function parsePo(content) {
+  const entries = [];
+  let entry = null;
+  let field = null;
+
+  const startEntry = () => {
+    if (!entry) {
+      entry = { context: null, msgid: null, msgstr: '', keys: [], references: [], comments: [], flags: [], obsolete: false };
+    }
+    return entry;
+  };
+
+  const finishEntry = () => {
+    if (entry && entry.msgid !== null) {
+      entries.push(entry);
+    }
+    entry = null;
+    field = null;
+  };
+
+  content.split(/\r?\n/).forEach(rawLine => {
+    let line = rawLine.trim();
+    if (line === '') {
+      finishEntry();
+      return;
+    }
+
+    let obsolete = false;
+    if (line.startsWith('#~')) {
+      obsolete = true;
+      line = line.substring(2).trim();
+    }
+
+    if (!obsolete && line.startsWith('#')) {
+      const current = startEntry();
+      if (line.startsWith('#.')) {
+        const comment = line.substring(2).trim();
+        if (comment.startsWith(KEY_COMMENT_PREFIX)) {
+          current.keys.push(comment.substring(KEY_COMMENT_PREFIX.length).trim());
+        } else {
+          current.comments.push(comment);
+        }
+      } else if (line.startsWith('#:')) {
+        current.references.push(...line.substring(2).trim().split(/\s+/).filter(Boolean));
+      } else if (line.startsWith('#,')) {
+        current.flags.push(...line.substring(2).split(',').map(flag => flag.trim()).filter(Boolean));
+      }
+      return;
+    }
+
+    const match = line.match(/^(msgctxt|msgid|msgid_plural|msgstr(?:\[0\])?|msgstr\[\d+\])\s+"(.*)"$/);
+    if (match) {
+      const current = startEntry();
+      current.obsolete = current.obsolete || obsolete;
+      const value = unescapePoString(match[2]);
+      // Plural forms are flattened to their first form
+      if (match[1] === 'msgctxt') {
+        field = 'context';
+      } else if (match[1] === 'msgid') {
+        field = 'msgid';
+      } else if (match[1] === 'msgstr' || match[1] === 'msgstr[0]') {
+        field = 'msgstr';
+      } else {
+        field = null;
+        return;
+      }
+      current[field] = value;
+      return;
+    }
+
+    const continuation = line.match(/^"(.*)"$/);
+    if (continuation && entry && field) {
+      entry[field] = (entry[field] || '') + unescapePoString(continuation[1]);
+    }
+  });
+
+  finishEntry();
+
+  // The header is the entry with an empty msgid
+  const headerEntry = entries.find(item => item.msgid === '' && !item.context);
+  const languageMatch = headerEntry && headerEntry.msgstr.match(/^Language:\s*(.+)$/m);
+
+  return {
+    locale: languageMatch ? languageMatch[1].trim() : null,
+    entries: entries.filter(item => item !== headerEntry)
+  };
+}
+
+async function importPo(inputPath, outputPath, options = {}) {
+  const content = await fs.readFile(inputPath, 'utf8');
+  const catalog = parsePo(content);
+
+  const translations = {};
+  const needsTranslation = [];
+  let skipped = 0;
+
+  catalog.entries.filter(entry => !entry.obsolete).forEach(entry => {
+    if (entry.keys.length === 0) {
+      // Messages without a key comment were not produced by this tool
+      skipped++;
+      return;
+    }
+
+    entry.keys.forEach(key => {
+      translations[key] = entry.msgstr;
+      if (entry.msgstr === '' || entry.flags.includes('fuzzy')) {
+        needsTranslation.push(key);
+      }
+    });
+  });
+
+  const output = {
+    locale: options.locale || catalog.locale,
+    translations: formatTranslations(translations, options.jsonStructure),
+    metadata: {
+      importedAt: new Date().toISOString(),
+      importedFrom: path.basename(inputPath),
+      totalTexts: Object.keys(translations).length,
+      needsTranslation
+    }
+  };
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, JSON.stringify(output, null, 2), 'utf8');
+  console.log(`📥 Imported ${Object.keys(translations).length} translations from ${inputPath} to ${outputPath}`);
+  if (skipped > 0) {
+    console.warn(`Warning: Skipped ${skipped} messages without a "#. ${KEY_COMMENT_PREFIX}" comment`);
+  }
+
+  return output;
+}
+
+module.exports = { buildPot, buildPo, parsePo, importPo, escapePoString, unescapePoString };
@@ -0,0 +1,172 @@
+const fs = require('fs').promises;
+const { buildPot, buildPo, parsePo, importPo, escapePoString, unescapePoString } = require('./gettext');
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn(),
+    mkdir: jest.fn(),
+  }
+}));
+
+describe('gettext', () => {
+  const entries = [
+    {
+      context: 'login',
+      msgid: 'Sign in',
+      msgstr: 'Anmelden',
+      keys: ['app.login.sign_in_8247c6', 'app.login.sign_in_8247c6_2'],
+      references: ['src/app/login/login.component.html:5', 'src/app/login/login.component.html:9'],
+      comments: [],
+      fuzzy: false,
+      obsolete: false
+    },
+    {
+      context: 'login',
+      msgid: 'Say "hello"\nto everyone',
+      msgstr: 'Say "hello"\nto everyone',
+      keys: ['app.login.say_hello_4f1a2b'],
+      references: ['src/app/login/login.component.ts:12'],
+      comments: [],
+      fuzzy: true,
+      obsolete: false
+    }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('escapePoString', () => {
+    it('should escape quotes, backslashes and control characters', () => {
+      expect(escapePoString('a "b" \\ c\n\td')).toBe('a \\"b\\" \\\\ c\\n\\td');
+    });
+
+    it('should be reversed by unescapePoString', () => {
+      const text = 'a "b" \\ c\n\td';
+      expect(unescapePoString(escapePoString(text))).toBe(text);
+    });
+  });
+
+  describe('buildPot', () => {
+    it('should write references, key comments and context with empty msgstr', () => {
+      expect(buildPot(entries.slice(0, 1))).toBe([
+        'msgid ""',
+        'msgstr ""',
+        '"MIME-Version: 1.0\\n"',
+        '"Content-Type: text/plain; charset=UTF-8\\n"',
+        '"Content-Transfer-Encoding: 8bit\\n"',
+        '"X-Generator: ng-i18n-extract\\n"',
+        '',
+        '#. Key: app.login.sign_in_8247c6',
+        '#. Key: app.login.sign_in_8247c6_2',
+        '#: src/app/login/login.component.html:5',
+        '#: src/app/login/login.component.html:9',
+        'msgctxt "login"',
+        'msgid "Sign in"',
+        'msgstr ""',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('buildPo', () => {
+    it('should write the language header, fuzzy flags and multi-line strings', () => {
+      const po = buildPo(entries, 'de');
+
+      expect(po).toContain('"Language: de\\n"');
+      expect(po).toContain('msgstr "Anmelden"');
+      expect(po).toContain([
+        '#, fuzzy',
+        'msgctxt "login"',
+        'msgid ""',
+        '"Say \\"hello\\"\\n"',
+        '"to everyone"'
+      ].join('\n'));
+    });
+
+    it('should write obsolete entries with #~ markers', () => {
+      const po = buildPo([{ ...entries[0], obsolete: true }], 'de');
+
+      expect(po).toContain('#~ msgctxt "login"\n#~ msgid "Sign in"\n#~ msgstr "Anmelden"');
+      expect(po).not.toContain('#: src/app/login');
+    });
+  });
+
+  describe('parsePo', () => {
+    it('should round-trip catalogs built by buildPo', () => {
+      const catalog = parsePo(buildPo(entries, 'de'));
+
+      expect(catalog.locale).toBe('de');
+      expect(catalog.entries).toHaveLength(2);
+      expect(catalog.entries[0]).toEqual({
+        context: 'login',
+        msgid: 'Sign in',
+        msgstr: 'Anmelden',
+        keys: ['app.login.sign_in_8247c6', 'app.login.sign_in_8247c6_2'],
+        references: ['src/app/login/login.component.html:5', 'src/app/login/login.component.html:9'],
+        comments: [],
+        flags: [],
+        obsolete: false
+      });
+      expect(catalog.entries[1].msgid).toBe('Say "hello"\nto everyone');
+      expect(catalog.entries[1].flags).toEqual(['fuzzy']);
+    });
+
+    it('should parse obsolete entries and plural forms', () => {
+      const catalog = parsePo([
+        '#. Key: app.old_1',
+        '#~ msgid "Old text"',
+        '#~ msgstr "Alter Text"',
+        '',
+        '#. Translator note',
+        'msgid "One file"',
+        'msgid_plural "%d files"',
+        'msgstr[0] "Eine Datei"',
+        'msgstr[1] "%d Dateien"'
+      ].join('\n'));
+
+      expect(catalog.locale).toBeNull();
+      expect(catalog.entries[0]).toEqual(expect.objectContaining({ msgid: 'Old text', msgstr: 'Alter Text', obsolete: true, keys: ['app.old_1'] }));
+      expect(catalog.entries[1]).toEqual(expect.objectContaining({ msgid: 'One file', msgstr: 'Eine Datei', comments: ['Translator note'] }));
+    });
+  });
+
+  describe('importPo', () => {
+    it('should write translations for every key of every message', async () => {
+      fs.readFile.mockResolvedValue(buildPo([...entries, { ...entries[0], keys: ['app.gone_1'], obsolete: true }], 'de'));
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockResolvedValue();
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      await importPo('/translations/de.po', '/i18n/de.json');
+
+      const output = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(output.locale).toBe('de');
+      expect(output.translations).toEqual({
+        'app.login.sign_in_8247c6': 'Anmelden',
+        'app.login.sign_in_8247c6_2': 'Anmelden',
+        'app.login.say_hello_4f1a2b': 'Say "hello"\nto everyone'
+      });
+      expect(output.metadata.needsTranslation).toEqual(['app.login.say_hello_4f1a2b']);
+      expect(output.metadata.importedFrom).toBe('de.po');
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should warn about messages without key comments', async () => {
+      fs.readFile.mockResolvedValue('msgid "Foreign message"\nmsgstr "Fremd"\n');
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+      const output = await importPo('/translations/fr.po', '/i18n/fr.json', { locale: 'fr' });
+
+      expect(output.locale).toBe('fr');
+      expect(output.translations).toEqual({});
+      expect(warnSpy).toHaveBeenCalledWith('Warning: Skipped 1 messages without a "#. Key: " comment');
+
+      consoleSpy.mockRestore();
+      warnSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,71 @@
+// Translation files can store keys flat ({ "app.home.title": "..." }) or nested
+// ({ "app": { "home": { "title": "..." } } }). Internally keys are always flat.
+const JSON_STRUCTURES = ['flat', 'nested'];
+
+function isNamespace(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Accepts either shape, or a mix of both
+function flattenTranslations(translations, prefix = '', result = {}) {
+  Object.entries(translations || {}).forEach(([name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (isNamespace(value)) {
+      flattenTranslations(value, key, result);
+      return;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(result, key)) {
+      throw new Error(`Translation key "${key}" is defined more than once`);
+    }
+    result[key] = value;
+  });
+  return result;
+}
+
+// Keys that are also the namespace of another key (app.home and app.home.title) cannot be nested
+function findKeyConflicts(keys) {
+  const keySet = new Set(keys);
+  const conflicts = [];
+  keys.forEach(key => {
+    const parts = key.split('.');
+    for (let length = 1; length < parts.length; length++) {
+      const namespace = parts.slice(0, length).join('.');
+      if (keySet.has(namespace)) {
+        conflicts.push({ key: namespace, nestedKey: key });
+      }
+    }
+  });
+  return conflicts;
+}
+
+function nestTranslations(translations) {
+  const conflicts = findKeyConflicts(Object.keys(translations));
+  if (conflicts.length > 0) {
+    const details = conflicts.map(({ key, nestedKey }) => `"${key}" (namespace of "${nestedKey}")`).join(', ');
+    throw new Error(`Cannot write nested JSON, these keys are both a translation and a namespace: ${details}`);
+  }
+
+  const nested = {};
+  Object.entries(translations).forEach(([key, value]) => {
+    const parts = key.split('.');
+    const leaf = parts.pop();
+    const parent = parts.reduce((node, part) => {
+      if (!node[part]) {
+        node[part] = {};
+      }
+      return node[part];
+    }, nested);
+    parent[leaf] = value;
+  });
+  return nested;
+}
+
+function formatTranslations(translations, structure = 'flat') {
+  if (!JSON_STRUCTURES.includes(structure)) {
+    throw new Error(`Unknown JSON structure "${structure}". Expected one of: ${JSON_STRUCTURES.join(', ')}`);
+  }
+  return structure === 'nested' ? nestTranslations(translations) : translations;
+}
+
+module.exports = { JSON_STRUCTURES, flattenTranslations, findKeyConflicts, nestTranslations, formatTranslations };
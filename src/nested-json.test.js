@@ -0,0 +1,63 @@
+const { flattenTranslations, findKeyConflicts, nestTranslations, formatTranslations } = require('./nested-json');
+
+describe('nested-json', () => {
+  const flat = {
+    'app.home.title': 'Home',
+    'app.home.save_1': 'Save',
+    'app.login.sign_in': 'Sign in',
+    greeting: 'Hello'
+  };
+  const nested = {
+    app: {
+      home: { title: 'Home', save_1: 'Save' },
+      login: { sign_in: 'Sign in' }
+    },
+    greeting: 'Hello'
+  };
+
+  describe('nestTranslations', () => {
+    it('should split keys at dots', () => {
+      expect(nestTranslations(flat)).toEqual(nested);
+    });
+
+    it('should reject keys that are also a namespace', () => {
+      expect(() => nestTranslations({ 'app.home': 'Home', 'app.home.title': 'Title' }))
+        .toThrow('Cannot write nested JSON, these keys are both a translation and a namespace: "app.home" (namespace of "app.home.title")');
+    });
+  });
+
+  describe('flattenTranslations', () => {
+    it('should accept nested, flat and mixed objects', () => {
+      expect(flattenTranslations(nested)).toEqual(flat);
+      expect(flattenTranslations(flat)).toEqual(flat);
+      expect(flattenTranslations({ app: { 'home.title': 'Home' }, 'app.login': { sign_in: 'Sign in' } })).toEqual({
+        'app.home.title': 'Home',
+        'app.login.sign_in': 'Sign in'
+      });
+      expect(flattenTranslations(undefined)).toEqual({});
+    });
+
+    it('should reject keys defined in both shapes', () => {
+      expect(() => flattenTranslations({ 'app.home.title': 'Home', app: { home: { title: 'Start' } } }))
+        .toThrow('Translation key "app.home.title" is defined more than once');
+    });
+  });
+
+  describe('findKeyConflicts', () => {
+    it('should list every namespace that is also a key', () => {
+      expect(findKeyConflicts(['a', 'a.b', 'a.b.c', 'd.e'])).toEqual([
+        { key: 'a', nestedKey: 'a.b' },
+        { key: 'a', nestedKey: 'a.b.c' },
+        { key: 'a.b', nestedKey: 'a.b.c' }
+      ]);
+    });
+  });
+
+  describe('formatTranslations', () => {
+    it('should keep flat translations unless nested output is requested', () => {
+      expect(formatTranslations(flat)).toBe(flat);
+      expect(formatTranslations(flat, 'nested')).toEqual(nested);
+      expect(() => formatTranslations(flat, 'deep')).toThrow('Unknown JSON structure "deep". Expected one of: flat, nested');
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const { structuredPatch } = require('diff');
+
+function formatRange(start, lines) {
+  // Unified diff ranges: an empty side starts at the line before the hunk
+  if (lines === 0) {
+    return `${start - 1},0`;
+  }
+  return lines === 1 ? `${start}` : `${start},${lines}`;
+}
+
+// git-style patch for one file, so the combined output can be applied with `git apply`
+function createFilePatch(fileName, original, modified, contextLines = 3) {
+  if (original === modified) {
+    return '';
+  }
+
+  const patch = structuredPatch(`a/${fileName}`, `b/${fileName}`, original, modified, undefined, undefined, { context: contextLines });
+  const lines = [
+    `diff --git a/${fileName} b/${fileName}`,
+    `--- a/${fileName}`,
+    `+++ b/${fileName}`
+  ];
+
+  patch.hunks.forEach(hunk => {
+    lines.push(`@@ -${formatRange(hunk.oldStart, hunk.oldLines)} +${formatRange(hunk.newStart, hunk.newLines)} @@`);
+    lines.push(...hunk.lines);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { createFilePatch };
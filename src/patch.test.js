@@ -0,0 +1,50 @@
+const { createFilePatch } = require('./patch');
+
+describe('patch', () => {
+  describe('createFilePatch', () => {
+    it('should return an empty string for unchanged files', () => {
+      expect(createFilePatch('src/app.html', '<p>Hi</p>\n', '<p>Hi</p>\n')).toBe('');
+    });
+
+    it('should write git-style headers and hunks', () => {
+      const original = ['<div>', '  <h1>Welcome</h1>', '  <p>Intro</p>', '</div>', ''].join('\n');
+      const modified = original.replace('<h1>Welcome</h1>', "<h1>{{ 'app.welcome' | translate }}</h1>");
+
+      expect(createFilePatch('src/app/home.component.html', original, modified)).toBe([
+        'diff --git a/src/app/home.component.html b/src/app/home.component.html',
+        '--- a/src/app/home.component.html',
+        '+++ b/src/app/home.component.html',
+        '@@ -1,4 +1,4 @@',
+        ' <div>',
+        '-  <h1>Welcome</h1>',
+        "+  <h1>{{ 'app.welcome' | translate }}</h1>",
+        '   <p>Intro</p>',
+        ' </div>',
+        ''
+      ].join('\n'));
+    });
+
+    it('should mark files without a trailing newline', () => {
+      expect(createFilePatch('a.txt', 'x', 'y')).toBe([
+        'diff --git a/a.txt b/a.txt',
+        '--- a/a.txt',
+        '+++ b/a.txt',
+        '@@ -1 +1 @@',
+        '-x',
+        '\\ No newline at end of file',
+        '+y',
+        '\\ No newline at end of file',
+        ''
+      ].join('\n'));
+    });
+
+    it('should limit context around separate changes', () => {
+      const original = Array.from({ length: 20 }, (value, index) => `line ${index + 1}`).join('\n') + '\n';
+      const modified = original.replace('line 2\n', 'LINE 2\n').replace('line 19\n', 'LINE 19\n');
+
+      const patch = createFilePatch('a.txt', original, modified, 1);
+      expect(patch).toContain('@@ -1,3 +1,3 @@');
+      expect(patch).toContain('@@ -18,3 +18,3 @@');
+    });
+  });
+});
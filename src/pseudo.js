@@ -0,0 +1,56 @@
+const DEFAULT_PSEUDO_EXPANSION = 35;
+
+const ACCENTED_CHARACTERS = {
+  a: 'á', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'î', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+  n: 'ñ', o: 'ö', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'û', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+  A: 'Å', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Î', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+  N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Û', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž'
+};
+
+// Padding reads as words, so wrapped lines still break where a translation would
+const PADDING_WORDS = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+
+// Left as they are: HTML and XLIFF tags, entities, {{ }} interpolations and {$placeholders}
+const PROTECTED_PATTERN = /<[^>]*>|&(?:[a-zA-Z]+|#\d+|#x[0-9a-fA-F]+);|\{\{[\s\S]*?\}\}|\{\$[^}]*\}/g;
+
+function accent(text) {
+  return text.replace(/[a-zA-Z]/g, character => ACCENTED_CHARACTERS[character]);
+}
+
+// The space separating the padding from the text is not counted
+function buildPadding(length) {
+  if (length === 0) {
+    return '';
+  }
+  let padding = '';
+  for (let index = 0; padding.length < length; index++) {
+    padding += `${index > 0 ? ' ' : ''}${PADDING_WORDS[index % PADDING_WORDS.length]}`;
+  }
+  return ` ${padding.slice(0, length).trimEnd()}`;
+}
+
+// "Save {{count}} <b>files</b>" -> "[Šáṽé {{count}} <b>ƒîļéš</b> one]": accented, padded by expansion percent
+// of the visible text length and bracketed, so truncation and hard-coded text stand out
+function pseudoLocalize(text, expansion = DEFAULT_PSEUDO_EXPANSION) {
+  if (!text || !text.trim()) {
+    return text;
+  }
+
+  let visibleLength = 0;
+  let result = '';
+  let lastIndex = 0;
+  text.replace(PROTECTED_PATTERN, (match, offset) => {
+    const plain = text.slice(lastIndex, offset);
+    visibleLength += plain.length;
+    result += accent(plain) + match;
+    lastIndex = offset + match.length;
+    return match;
+  });
+  const rest = text.slice(lastIndex);
+  visibleLength += rest.length;
+  result += accent(rest);
+
+  return `[${result}${buildPadding(Math.round(visibleLength * expansion / 100))}]`;
+}
+
+module.exports = { DEFAULT_PSEUDO_EXPANSION, pseudoLocalize };
@@ -0,0 +1,35 @@
+const { DEFAULT_PSEUDO_EXPANSION, pseudoLocalize } = require('./pseudo');
+
+describe('pseudoLocalize', () => {
+  it('should accent, pad and bracket plain text', () => {
+    expect(pseudoLocalize('Welcome to the dashboard', 30)).toBe('[Ŵéļçöɱé ţö ţĥé ðášĥƀöáŕð one two]');
+    expect(pseudoLocalize('Save', 50)).toBe('[Šáṽé on]');
+  });
+
+  it('should pad by the default expansion', () => {
+    const text = 'Your changes have been saved';
+    const pseudo = pseudoLocalize(text);
+
+    expect(DEFAULT_PSEUDO_EXPANSION).toBe(35);
+    expect(pseudo.length - '[]'.length).toBe(text.length + 1 + Math.round(text.length * 0.35));
+  });
+
+  it('should leave HTML tags, entities and interpolations intact', () => {
+    expect(pseudoLocalize('Read the <a href="/terms" class="link">terms</a> &amp; {{ count | number }} items', 0))
+      .toBe('[Ŕéáð ţĥé <a href="/terms" class="link">ţéŕɱš</a> &amp; {{ count | number }} îţéɱš]');
+  });
+
+  it('should leave XLIFF placeholders intact', () => {
+    expect(pseudoLocalize('Hello <x id="INTERPOLATION" equiv-text="{{ name }}"/>, total {$AMOUNT}', 0))
+      .toBe('[Ĥéļļö <x id="INTERPOLATION" equiv-text="{{ name }}"/>, ţöţáļ {$AMOUNT}]');
+  });
+
+  it('should not count markup towards the padding', () => {
+    expect(pseudoLocalize('<b>Save</b>', 50)).toBe(pseudoLocalize('Save', 50).replace('Šáṽé', '<b>Šáṽé</b>'));
+  });
+
+  it('should keep empty and blank text as it is', () => {
+    expect(pseudoLocalize('')).toBe('');
+    expect(pseudoLocalize('  ')).toBe('  ');
+  });
+});
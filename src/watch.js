@@ -0,0 +1,157 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { TextExtractor } = require('./extractor');
+
+// Polling keeps working on every platform and file system, unlike recursive fs.watch
+const DEFAULT_WATCH_INTERVAL = 500;
+
+function diffSnapshots(previous, current) {
+  const changes = { changed: [], added: [], deleted: [] };
+  current.forEach((modifiedAt, file) => {
+    if (!previous.has(file)) {
+      changes.added.push(file);
+    } else if (previous.get(file) !== modifiedAt) {
+      changes.changed.push(file);
+    }
+  });
+  previous.forEach((modifiedAt, file) => {
+    if (!current.has(file)) {
+      changes.deleted.push(file);
+    }
+  });
+  return changes;
+}
+
+// Runs a full extraction once, then re-extracts only the files that changed and rewrites the output
+class TextWatcher {
+  constructor(options) {
+    if (options.dryRun) {
+      throw new Error('Watch mode cannot be combined with a dry run');
+    }
+    // Which texts get common. keys depends on every file, so a changed file could re-key the others
+    if (options.dedupe === 'global') {
+      throw new Error('Watch mode cannot be combined with --dedupe global');
+    }
+    this.options = options;
+    this.interval = options.watchInterval || DEFAULT_WATCH_INTERVAL;
+    this.extractor = new TextExtractor(options);
+    this.snapshot = new Map();
+    this.timer = null;
+    this.stopped = false;
+  }
+
+  // Modification time of every source file matching the include and exclude globs
+  async takeSnapshot() {
+    const { htmlFiles, tsFiles } = this.extractor.findSourceFiles(this.options.srcPath);
+    const snapshot = new Map();
+    await this.statFiles(snapshot, [...htmlFiles, ...tsFiles]);
+    return snapshot;
+  }
+
+  async statFiles(snapshot, files) {
+    for (const file of files) {
+      try {
+        const stats = await fs.stat(path.join(this.options.srcPath, file));
+        snapshot.set(file, stats.mtimeMs);
+      } catch (error) {
+        // Deleted between the glob and the stat; the next cycle reports it
+      }
+    }
+  }
+
+  // Files rewritten by --replace get their new modification time, so they are not extracted again.
+  // Everything else keeps the time from before the cycle, so edits made meanwhile are picked up next time.
+  async acceptRewrittenFiles(snapshot) {
+    const files = Array.from(this.extractor.rewrittenFiles)
+      .map(filePath => path.relative(this.options.srcPath, filePath).split(path.sep).join('/'));
+    this.extractor.rewrittenFiles.clear();
+    await this.statFiles(snapshot, files);
+    this.snapshot = snapshot;
+  }
+
+  async start() {
+    if (this.options.merge) {
+      await this.extractor.loadExistingTranslations(this.extractor.getCatalogPath(this.options.outputPath, this.options.locale));
+    }
+    const snapshot = await this.takeSnapshot();
+    try {
+      await this.extractor.extractFromDirectory(this.options.srcPath);
+      await this.extractor.saveLocaleFiles(this.options.outputPath);
+    } finally {
+      await this.extractor.saveBackupRun();
+    }
+    await this.acceptRewrittenFiles(snapshot);
+
+    console.log(`👀 Watching ${this.options.srcPath} for changes (press Ctrl+C to stop)`);
+    this.schedule();
+  }
+
+  // Returns a summary of the cycle, or null when no file changed
+  async update() {
+    const snapshot = await this.takeSnapshot();
+    const changes = diffSnapshots(this.snapshot, snapshot);
+    const files = [...changes.changed, ...changes.added];
+    if (files.length === 0 && changes.deleted.length === 0) {
+      return null;
+    }
+
+    const keysBefore = new Set(this.extractor.extractedTexts.keys());
+    // Added files normally have no entries yet, unless a failed cycle is being retried
+    [...files, ...changes.deleted].forEach(file => {
+      this.extractor.removeFileEntries(path.join(this.options.srcPath, file));
+    });
+    try {
+      await this.extractor.processSourceFiles(
+        this.options.srcPath,
+        files.filter(file => file.endsWith('.html')),
+        files.filter(file => file.endsWith('.ts'))
+      );
+      await this.extractor.saveLocaleFiles(this.options.outputPath);
+    } finally {
+      // Sources rewritten before a failure must still be restorable
+      await this.extractor.saveBackupRun();
+    }
+    await this.acceptRewrittenFiles(snapshot);
+
+    const keysAfter = new Set(this.extractor.extractedTexts.keys());
+    const summary = {
+      changed: changes.changed.length,
+      added: changes.added.length,
+      deleted: changes.deleted.length,
+      keysAdded: Array.from(keysAfter).filter(key => !keysBefore.has(key)).length,
+      keysRemoved: Array.from(keysBefore).filter(key => !keysAfter.has(key)).length,
+      totalKeys: keysAfter.size
+    };
+    console.log(`🔄 [${new Date().toLocaleTimeString()}] ${summary.changed} changed, ${summary.added} added, ${summary.deleted} deleted files: ` +
+      `${summary.keysAdded} keys added, ${summary.keysRemoved} removed, ${summary.totalKeys} in total`);
+    return summary;
+  }
+
+  schedule() {
+    if (this.stopped) {
+      return;
+    }
+    this.timer = setTimeout(async () => {
+      try {
+        await this.update();
+      } catch (error) {
+        // Keep watching; the next change gets another chance
+        console.error('❌ Error during extraction:', error.message);
+      }
+      this.schedule();
+    }, this.interval);
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+  }
+}
+
+async function watchTexts(options) {
+  const watcher = new TextWatcher(options);
+  await watcher.start();
+  return watcher;
+}
+
+module.exports = { DEFAULT_WATCH_INTERVAL, diffSnapshots, TextWatcher, watchTexts };
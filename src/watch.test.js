@@ -0,0 +1,137 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { diffSnapshots, TextWatcher } = require('./watch');
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn(),
+    mkdir: jest.fn(),
+    stat: jest.fn(),
+  }
+}));
+
+jest.mock('glob', () => ({
+  sync: jest.fn()
+}));
+
+const glob = require('glob');
+
+describe('watch', () => {
+  const srcPath = path.resolve('/project/src');
+  const outputPath = path.resolve('/project/i18n/en.json');
+
+  let files;
+  let modifiedAt;
+  let watcher;
+
+  const edit = (file, content) => {
+    files[file] = content;
+    modifiedAt[file] = (modifiedAt[file] || 0) + 1000;
+  };
+
+  const remove = (file) => {
+    delete files[file];
+    delete modifiedAt[file];
+  };
+
+  const writtenTranslations = () => {
+    const calls = fs.writeFile.mock.calls.filter(([filePath]) => filePath === outputPath);
+    return JSON.parse(calls[calls.length - 1][1]).translations;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    files = {};
+    modifiedAt = {};
+    edit('app/home/home.component.html', '<h1>Welcome home</h1>\n<button>Save</button>');
+    edit('app/about/about.component.html', '<p>About us</p>\n<button>Save</button>');
+
+    glob.sync.mockImplementation(() => Object.keys(files));
+    const relative = (filePath) => path.relative(srcPath, filePath).split(path.sep).join('/');
+    fs.readFile.mockImplementation(async (filePath) => {
+      if (files[relative(filePath)] === undefined) {
+        throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+      }
+      return files[relative(filePath)];
+    });
+    fs.stat.mockImplementation(async (filePath) => {
+      if (modifiedAt[relative(filePath)] === undefined) {
+        throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+      }
+      return { mtimeMs: modifiedAt[relative(filePath)] };
+    });
+    fs.writeFile.mockImplementation(async (filePath, content) => {
+      if (filePath.startsWith(srcPath)) {
+        edit(relative(filePath), content);
+      }
+    });
+  });
+
+  afterEach(() => {
+    if (watcher) {
+      watcher.stop();
+    }
+    console.log.mockRestore();
+  });
+
+  const startWatcher = async (options = {}) => {
+    watcher = new TextWatcher({ srcPath, outputPath, keyPrefix: 'app', locale: 'en', dedupe: 'component', ...options });
+    await watcher.start();
+    return watcher;
+  };
+
+  it('should compare snapshots', () => {
+    const previous = new Map([['a.html', 1], ['b.html', 1], ['c.ts', 1]]);
+    const current = new Map([['a.html', 1], ['b.html', 2], ['d.ts', 1]]);
+
+    expect(diffSnapshots(previous, current)).toEqual({ changed: ['b.html'], added: ['d.ts'], deleted: ['c.ts'] });
+  });
+
+  it('should extract everything once and then nothing while no file changes', async () => {
+    await startWatcher();
+
+    expect(Object.values(writtenTranslations()).sort()).toEqual(['About us', 'Save', 'Save', 'Welcome home']);
+    fs.readFile.mockClear();
+
+    await expect(watcher.update()).resolves.toBeNull();
+    expect(fs.readFile).not.toHaveBeenCalled();
+  });
+
+  it('should re-extract only changed and added files and drop the entries of deleted files', async () => {
+    await startWatcher();
+    fs.readFile.mockClear();
+
+    edit('app/home/home.component.html', '<h1>Welcome back</h1>\n<button>Save</button>');
+    edit('app/contact/contact.component.html', '<p>Write to us</p>');
+    remove('app/about/about.component.html');
+
+    const summary = await watcher.update();
+
+    expect(fs.readFile.mock.calls.map(([filePath]) => path.basename(filePath)).sort())
+      .toEqual(['contact.component.html', 'home.component.html']);
+    expect(summary).toEqual({ changed: 1, added: 1, deleted: 1, keysAdded: 2, keysRemoved: 3, totalKeys: 3 });
+    expect(Object.values(writtenTranslations()).sort()).toEqual(['Save', 'Welcome back', 'Write to us']);
+    // The home component's Save key survives its re-extraction
+    const saveKey = Object.keys(writtenTranslations()).find(key => writtenTranslations()[key] === 'Save');
+    expect(watcher.extractor.textSources.get(saveKey).map(source => path.basename(source.file))).toEqual(['home.component.html']);
+  });
+
+  it('should not re-extract files rewritten by --replace', async () => {
+    await startWatcher({ replace: true });
+
+    expect(files['app/home/home.component.html']).toContain("| translate }}</h1>");
+    expect(fs.writeFile).toHaveBeenCalledWith(expect.stringMatching(/manifest\.json$/), expect.any(String), 'utf8');
+    await expect(watcher.update()).resolves.toBeNull();
+    expect(Object.values(writtenTranslations()).sort()).toEqual(['About us', 'Save', 'Save', 'Welcome home']);
+  });
+
+  it('should reject dry runs', () => {
+    expect(() => new TextWatcher({ srcPath, outputPath, dryRun: true })).toThrow('Watch mode cannot be combined with a dry run');
+  });
+
+  it('should reject global deduplication', () => {
+    expect(() => new TextWatcher({ srcPath, outputPath, dedupe: 'global' })).toThrow('Watch mode cannot be combined with --dedupe global');
+  });
+});
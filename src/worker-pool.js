@@ -0,0 +1,54 @@
+const { Worker } = require('worker_threads');
+
+// Fixed number of worker threads taking tasks from a shared queue, one task per worker at a time.
+// The worker script answers each { id, payload } message with { id, result }.
+class WorkerPool {
+  constructor(scriptPath, size, workerData) {
+    this.queue = [];
+    this.running = new Map();
+    this.nextId = 0;
+    this.workers = Array.from({ length: size }, () => this.createWorker(scriptPath, workerData));
+    this.idle = this.workers.slice();
+  }
+
+  createWorker(scriptPath, workerData) {
+    const worker = new Worker(scriptPath, { workerData });
+    worker.on('message', ({ result }) => {
+      const task = this.running.get(worker);
+      this.running.delete(worker);
+      this.idle.push(worker);
+      task.resolve(result);
+      this.dispatch();
+    });
+    worker.on('error', error => {
+      // A crashed worker cannot take more tasks, so everything still waiting fails with it
+      const tasks = [this.running.get(worker), ...this.queue].filter(Boolean);
+      this.running.delete(worker);
+      this.queue = [];
+      tasks.forEach(task => task.reject(new Error(`Extraction worker failed: ${error.message}`)));
+    });
+    return worker;
+  }
+
+  run(payload) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, payload, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.shift();
+      const task = this.queue.shift();
+      this.running.set(worker, task);
+      worker.postMessage({ id: task.id, payload: task.payload });
+    }
+  }
+
+  async close() {
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+  }
+}
+
+module.exports = { WorkerPool };
@@ -0,0 +1,188 @@
+const fs = require('fs').promises;
+const path = require('path');
+const cheerio = require('cheerio');
+const { formatTranslations } = require('./nested-json');
+
+const XLIFF_VERSIONS = ['1.2', '2.0'];
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// units: [{ id, source, target, notes }] where target is null for the source locale file.
+// Output depends only on its input (no timestamps), so repeated exports diff cleanly.
+// With markup, source and target are already XML (Angular <x/> placeholders) and units may
+// carry Angular's locations, meaning and description.
+function buildXliff12({ sourceLocale, targetLocale, units, original = 'ng-i18n-extract', markup = false }) {
+  const targetAttribute = targetLocale ? ` target-language="${escapeXml(targetLocale)}"` : '';
+  const toXml = markup ? text => text : escapeXml;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+    `  <file source-language="${escapeXml(sourceLocale)}"${targetAttribute} datatype="plaintext" original="${escapeXml(original)}">`,
+    '    <body>'
+  ];
+
+  units.forEach(unit => {
+    lines.push(`      <trans-unit id="${escapeXml(unit.id)}" datatype="html">`);
+    lines.push(`        <source>${toXml(unit.source)}</source>`);
+    if (targetLocale) {
+      const state = unit.needsTranslation ? 'needs-translation' : 'translated';
+      lines.push(`        <target state="${state}">${toXml(unit.target || '')}</target>`);
+    }
+    (unit.locations || []).forEach(location => {
+      lines.push('        <context-group purpose="location">');
+      lines.push(`          <context context-type="sourcefile">${escapeXml(location.file)}</context>`);
+      if (location.line) {
+        lines.push(`          <context context-type="linenumber">${location.line}</context>`);
+      }
+      lines.push('        </context-group>');
+    });
+    if (unit.description) {
+      lines.push(`        <note priority="1" from="description">${escapeXml(unit.description)}</note>`);
+    }
+    if (unit.meaning) {
+      lines.push(`        <note priority="1" from="meaning">${escapeXml(unit.meaning)}</note>`);
+    }
+    (unit.notes || []).forEach(note => {
+      lines.push(`        <note from="location">${escapeXml(note)}</note>`);
+    });
+    lines.push('      </trans-unit>');
+  });
+
+  lines.push('    </body>', '  </file>', '</xliff>', '');
+  return lines.join('\n');
+}
+
+function buildXliff20({ sourceLocale, targetLocale, units }) {
+  const targetAttribute = targetLocale ? ` trgLang="${escapeXml(targetLocale)}"` : '';
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="${escapeXml(sourceLocale)}"${targetAttribute}>`,
+    '  <file id="ngi18n" original="ng-i18n-extract">'
+  ];
+
+  units.forEach(unit => {
+    lines.push(`    <unit id="${escapeXml(unit.id)}">`);
+    if (unit.notes && unit.notes.length > 0) {
+      lines.push('      <notes>');
+      unit.notes.forEach(note => {
+        lines.push(`        <note category="location">${escapeXml(note)}</note>`);
+      });
+      lines.push('      </notes>');
+    }
+    const state = targetLocale ? ` state="${unit.needsTranslation ? 'initial' : 'translated'}"` : '';
+    lines.push(`      <segment${state}>`);
+    lines.push(`        <source>${escapeXml(unit.source)}</source>`);
+    if (targetLocale) {
+      lines.push(`        <target>${escapeXml(unit.target || '')}</target>`);
+    }
+    lines.push('      </segment>', '    </unit>');
+  });
+
+  lines.push('  </file>', '</xliff>', '');
+  return lines.join('\n');
+}
+
+function buildXliff(version, document) {
+  if (version === '1.2') {
+    return buildXliff12(document);
+  }
+  if (version === '2.0') {
+    return buildXliff20(document);
+  }
+  throw new Error(`Unsupported XLIFF version "${version}". Expected one of: ${XLIFF_VERSIONS.join(', ')}`);
+}
+
+// With markup, source and target are returned as raw inner XML so placeholders survive
+function parseXliff(content, options = {}) {
+  const $ = cheerio.load(content, { xml: options.markup ? { xmlMode: true, decodeEntities: false } : true });
+  const readContent = $element => (options.markup ? $element.html() : $element.text());
+  const $root = $('xliff').first();
+  if ($root.length === 0) {
+    throw new Error('Not an XLIFF document: missing <xliff> root element');
+  }
+
+  const version = $root.attr('version');
+  const units = [];
+
+  if (version && version.startsWith('2')) {
+    $root.find('unit').each((index, element) => {
+      const $unit = $(element);
+      const $segments = $unit.find('segment');
+      const $target = $segments.find('target');
+      units.push({
+        id: $unit.attr('id'),
+        source: readContent($segments.find('source')),
+        target: $target.length > 0 ? readContent($target) : null,
+        needsTranslation: $segments.first().attr('state') === 'initial',
+        notes: $unit.find('note').map((i, note) => $(note).text()).get()
+      });
+    });
+
+    return {
+      version: '2.0',
+      sourceLocale: $root.attr('srcLang') || null,
+      targetLocale: $root.attr('trgLang') || null,
+      units
+    };
+  }
+
+  const $file = $root.find('file').first();
+  $root.find('trans-unit').each((index, element) => {
+    const $unit = $(element);
+    const $target = $unit.children('target');
+    units.push({
+      id: $unit.attr('id'),
+      source: readContent($unit.children('source')),
+      target: $target.length > 0 ? readContent($target) : null,
+      needsTranslation: ['new', 'needs-translation'].includes($target.attr('state')),
+      notes: $unit.children('note[from="location"]').map((i, note) => $(note).text()).get()
+    });
+  });
+
+  return {
+    version: version || '1.2',
+    sourceLocale: $file.attr('source-language') || null,
+    targetLocale: $file.attr('target-language') || null,
+    units
+  };
+}
+
+async function importXliff(inputPath, outputPath, options = {}) {
+  const content = await fs.readFile(inputPath, 'utf8');
+  const document = parseXliff(content);
+
+  const translations = {};
+  const needsTranslation = [];
+  document.units.forEach(unit => {
+    translations[unit.id] = unit.target !== null ? unit.target : '';
+    if (unit.target === null || unit.target === '' || unit.needsTranslation) {
+      needsTranslation.push(unit.id);
+    }
+  });
+
+  const output = {
+    locale: options.locale || document.targetLocale || document.sourceLocale,
+    translations: formatTranslations(translations, options.jsonStructure),
+    metadata: {
+      importedAt: new Date().toISOString(),
+      importedFrom: path.basename(inputPath),
+      sourceLocale: document.sourceLocale,
+      totalTexts: document.units.length,
+      needsTranslation
+    }
+  };
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, JSON.stringify(output, null, 2), 'utf8');
+  console.log(`📥 Imported ${document.units.length} translations from ${inputPath} to ${outputPath}`);
+
+  return output;
+}
+
+module.exports = { XLIFF_VERSIONS, escapeXml, buildXliff, buildXliff12, buildXliff20, parseXliff, importXliff };
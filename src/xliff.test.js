@@ -0,0 +1,202 @@
+const fs = require('fs').promises;
+const { buildXliff, buildXliff12, buildXliff20, parseXliff, importXliff, escapeXml } = require('./xliff');
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn(),
+    mkdir: jest.fn(),
+  }
+}));
+
+describe('xliff', () => {
+  const units = [
+    {
+      id: 'app.login.sign_in_8247c6',
+      source: 'Sign in',
+      target: 'Anmelden',
+      needsTranslation: false,
+      notes: ['src/app/login/login.component.html']
+    },
+    {
+      id: 'app.login.terms_1a2b3c',
+      source: 'Accept <strong>terms</strong> & "conditions"',
+      target: '',
+      needsTranslation: true,
+      notes: []
+    }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('escapeXml', () => {
+    it('should escape markup characters', () => {
+      expect(escapeXml('<b>"Tom" & Jerry</b>')).toBe('&lt;b&gt;&quot;Tom&quot; &amp; Jerry&lt;/b&gt;');
+    });
+  });
+
+  describe('buildXliff12', () => {
+    it('should build a source-only document without targets', () => {
+      expect(buildXliff12({ sourceLocale: 'en', targetLocale: null, units: units.slice(0, 1) })).toBe([
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+        '  <file source-language="en" datatype="plaintext" original="ng-i18n-extract">',
+        '    <body>',
+        '      <trans-unit id="app.login.sign_in_8247c6" datatype="html">',
+        '        <source>Sign in</source>',
+        '        <note from="location">src/app/login/login.component.html</note>',
+        '      </trans-unit>',
+        '    </body>',
+        '  </file>',
+        '</xliff>',
+        ''
+      ].join('\n'));
+    });
+
+    it('should include targets with their state for target locales', () => {
+      const xml = buildXliff12({ sourceLocale: 'en', targetLocale: 'de', units });
+
+      expect(xml).toContain('<file source-language="en" target-language="de"');
+      expect(xml).toContain('<target state="translated">Anmelden</target>');
+      expect(xml).toContain('<target state="needs-translation"></target>');
+      expect(xml).toContain('<source>Accept &lt;strong&gt;terms&lt;/strong&gt; &amp; &quot;conditions&quot;</source>');
+    });
+    it('should write Angular locations, descriptions and meanings', () => {
+      const xml = buildXliff12({
+        sourceLocale: 'en',
+        targetLocale: null,
+        original: 'ng2.template',
+        units: [{ id: 'app.title', source: 'Title', locations: [{ file: 'src/app.html', line: 3 }], description: 'h1 text', meaning: 'app' }]
+      });
+
+      expect(xml).toContain('original="ng2.template"');
+      expect(xml).toContain([
+        '        <context-group purpose="location">',
+        '          <context context-type="sourcefile">src/app.html</context>',
+        '          <context context-type="linenumber">3</context>',
+        '        </context-group>',
+        '        <note priority="1" from="description">h1 text</note>',
+        '        <note priority="1" from="meaning">app</note>'
+      ].join('\n'));
+    });
+  });
+
+  describe('buildXliff20', () => {
+    it('should build units with notes and segments', () => {
+      expect(buildXliff20({ sourceLocale: 'en', targetLocale: 'de', units: units.slice(0, 1) })).toBe([
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="en" trgLang="de">',
+        '  <file id="ngi18n" original="ng-i18n-extract">',
+        '    <unit id="app.login.sign_in_8247c6">',
+        '      <notes>',
+        '        <note category="location">src/app/login/login.component.html</note>',
+        '      </notes>',
+        '      <segment state="translated">',
+        '        <source>Sign in</source>',
+        '        <target>Anmelden</target>',
+        '      </segment>',
+        '    </unit>',
+        '  </file>',
+        '</xliff>',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('buildXliff', () => {
+    it('should produce identical output for identical input', () => {
+      const document = { sourceLocale: 'en', targetLocale: 'de', units };
+      expect(buildXliff('2.0', document)).toBe(buildXliff('2.0', document));
+    });
+
+    it('should reject unsupported versions', () => {
+      expect(() => buildXliff('1.1', { units: [] })).toThrow('Unsupported XLIFF version "1.1". Expected one of: 1.2, 2.0');
+    });
+  });
+
+  describe('parseXliff', () => {
+    it.each(['1.2', '2.0'])('should round-trip XLIFF %s documents', (version) => {
+      const document = parseXliff(buildXliff(version, { sourceLocale: 'en', targetLocale: 'de', units }));
+
+      expect(document.version).toBe(version);
+      expect(document.sourceLocale).toBe('en');
+      expect(document.targetLocale).toBe('de');
+      expect(document.units).toEqual(units.map(unit => ({ ...unit })));
+    });
+
+    it('should report missing targets as null', () => {
+      const document = parseXliff(buildXliff12({ sourceLocale: 'en', targetLocale: null, units }));
+
+      expect(document.targetLocale).toBeNull();
+      expect(document.units[0].target).toBeNull();
+    });
+
+    it('should return raw markup when requested', () => {
+      const xml = buildXliff12({
+        sourceLocale: 'en',
+        targetLocale: 'de',
+        markup: true,
+        units: [{ id: 'app.welcome', source: 'Hi <x id="INTERPOLATION" equiv-text="{{ name }}"/>', target: 'Hallo &amp; <x id="INTERPOLATION" equiv-text="{{ name }}"/>' }]
+      });
+
+      expect(parseXliff(xml, { markup: true }).units[0]).toEqual(expect.objectContaining({
+        source: 'Hi <x id="INTERPOLATION" equiv-text="{{ name }}"/>',
+        target: 'Hallo &amp; <x id="INTERPOLATION" equiv-text="{{ name }}"/>'
+      }));
+      expect(parseXliff(xml).units[0].target).toBe('Hallo & ');
+    });
+
+    it('should reject documents without an xliff root', () => {
+      expect(() => parseXliff('<root></root>')).toThrow('Not an XLIFF document');
+    });
+  });
+
+  describe('importXliff', () => {
+    it('should write translated units to the JSON translation format', async () => {
+      fs.readFile.mockResolvedValue(buildXliff('2.0', { sourceLocale: 'en', targetLocale: 'de', units }));
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockResolvedValue();
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      await importXliff('/vendor/messages.de.xlf', '/i18n/de.json');
+
+      expect(fs.mkdir).toHaveBeenCalledWith('/i18n', { recursive: true });
+      const output = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(output.locale).toBe('de');
+      expect(output.translations).toEqual({
+        'app.login.sign_in_8247c6': 'Anmelden',
+        'app.login.terms_1a2b3c': ''
+      });
+      expect(output.metadata.importedFrom).toBe('messages.de.xlf');
+      expect(output.metadata.sourceLocale).toBe('en');
+      expect(output.metadata.needsTranslation).toEqual(['app.login.terms_1a2b3c']);
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should write nested translations when requested', async () => {
+      fs.readFile.mockResolvedValue(buildXliff('1.2', { sourceLocale: 'en', targetLocale: 'de', units }));
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      const output = await importXliff('/vendor/messages.de.xlf', '/i18n/de.json', { jsonStructure: 'nested' });
+
+      expect(output.translations).toEqual({
+        app: { login: { sign_in_8247c6: 'Anmelden', terms_1a2b3c: '' } }
+      });
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should let the caller override the locale', async () => {
+      fs.readFile.mockResolvedValue(buildXliff('1.2', { sourceLocale: 'en', targetLocale: 'de', units }));
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      const output = await importXliff('/vendor/messages.xlf', '/i18n/de-AT.json', { locale: 'de-AT' });
+
+      expect(output.locale).toBe('de-AT');
+      consoleSpy.mockRestore();
+    });
+  });
+});
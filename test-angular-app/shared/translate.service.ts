@@ -1,5 +1,4 @@
 import { Injectable } from '@angular/core';
-import { TranslateService } from '../shared/translate.service';
 import { HttpClient } from '@angular/common/http';
 import { Observable, of } from 'rxjs';
 import { map, catchError } from 'rxjs/operators';
@@ -11,9 +10,7 @@ export class TranslateService {
   private translations: { [key: string]: string } = {};
   private currentLang = 'en';
 
-  constructor(private http: HttpClient,
-    private translate: TranslateService
-  ) {}
+  constructor(private http: HttpClient) {}
 
   get(key: string): Observable<string> {
     const translation = this.translations[key];
@@ -25,6 +22,16 @@ export class TranslateService {
     return of(key);
   }
 
+  instant(key: string): string {
+    const translation = this.translations[key];
+    if (translation) {
+      return translation;
+    }
+    
+    // Return the key as fallback if translation not found
+    return key;
+  }
+
   setDefaultLang(lang: string): void {
     this.currentLang = lang;
   }
@@ -35,7 +42,7 @@ export class TranslateService {
   }
 
   private loadTranslations(lang: string): Observable<any> {
-    const url = 'app.translate.assetsi18nlangjson_21' | translate;
+    const url = `assets/i18n/${lang}.json`;
     return this.http.get(url).pipe(
       map((translations: any) => {
         this.translations = { ...this.translations, ...translations.translations };